@@ -0,0 +1,104 @@
+const logger = require('../utils/logger');
+
+// 사용자 언어 설정이 없을 때 사용하는 언어
+const DEFAULT_LOCALE = 'ko';
+const SUPPORTED_LOCALES = ['ko', 'en'];
+
+// 알림 메일 기본 템플릿 (언어별, 모든 제품 공통)
+// - reminder: 만료 전 안내 (제품의 reminderDays 시점)
+// - expired: 만료 안내
+// - unsubscribe: 수신 거부 안내 (PUBLIC_BASE_URL이 설정되어 있을 때 본문 끝에 붙인다)
+// 사용 가능한 값: {{productName}}, {{username}}, {{expiresDate}}(업무 시간대 기준 날짜), {{daysLeft}}, {{unsubscribeUrl}}
+const defaultTemplates = {
+  ko: {
+    reminder: {
+      subject: '[{{productName}}] 구독이 {{daysLeft}}일 후 만료됩니다',
+      text: '안녕하세요, {{username}}님.\n\n{{productName}} 구독이 {{expiresDate}}에 만료됩니다 ({{daysLeft}}일 남음).\n' +
+        '계속 사용하시려면 만료 전에 갱신해주세요.'
+    },
+    expired: {
+      subject: '[{{productName}}] 구독이 만료되었습니다',
+      text: '안녕하세요, {{username}}님.\n\n{{productName}} 구독이 {{expiresDate}}에 만료되었습니다.\n' +
+        '다시 사용하시려면 구독을 갱신해주세요.'
+    },
+    unsubscribe: {
+      text: '\n\n더 이상 안내 메일을 받지 않으려면 다음 주소를 여세요: {{unsubscribeUrl}}'
+    }
+  },
+  en: {
+    reminder: {
+      subject: '[{{productName}}] Your subscription expires in {{daysLeft}} days',
+      text: 'Hello {{username}},\n\nYour {{productName}} subscription expires on {{expiresDate}} ({{daysLeft}} days left).\n' +
+        'Please renew before it expires to keep using it.'
+    },
+    expired: {
+      subject: '[{{productName}}] Your subscription has expired',
+      text: 'Hello {{username}},\n\nYour {{productName}} subscription expired on {{expiresDate}}.\n' +
+        'Renew your subscription to continue using it.'
+    },
+    unsubscribe: {
+      text: '\n\nTo stop receiving these emails, open: {{unsubscribeUrl}}'
+    }
+  }
+};
+
+/**
+ * EMAIL_TEMPLATES_CONFIG 환경 변수(JSON)로 제품별 템플릿을 지정한다 (지정하지 않은 항목은 기본 템플릿).
+ * 예: {"rainbowg":{"en":{"reminder":{"subject":"RainbowG renewal reminder"}}}}
+ * @returns {Object} - 제품 ID별 템플릿
+ */
+function loadProductTemplates() {
+  if (!process.env.EMAIL_TEMPLATES_CONFIG) {
+    return {};
+  }
+
+  let templates;
+  try {
+    templates = JSON.parse(process.env.EMAIL_TEMPLATES_CONFIG);
+  } catch (error) {
+    throw new Error(`Invalid EMAIL_TEMPLATES_CONFIG: ${error.message}`);
+  }
+
+  for (const [productId, locales] of Object.entries(templates)) {
+    const unknown = Object.keys(locales).filter(locale => !SUPPORTED_LOCALES.includes(locale));
+    if (unknown.length > 0) {
+      throw new Error(`Email templates for ${productId} have unsupported locales: ${unknown.join(', ')}`);
+    }
+  }
+
+  logger.info(`Loaded email templates for: ${Object.keys(templates).join(', ')}`);
+  return templates;
+}
+
+const productTemplates = loadProductTemplates();
+
+/**
+ * 템플릿 조회 (제품별 템플릿이 없으면 기본 템플릿, 지원하지 않는 언어는 기본 언어)
+ * @param {string} productId - 제품 ID
+ * @param {string} locale - 언어 (ko | en)
+ * @param {string} type - reminder | expired | unsubscribe
+ * @returns {Object} - subject, text
+ */
+function getEmailTemplate(productId, locale, type) {
+  const lang = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  const overrides = ((productTemplates[productId] || {})[lang] || {})[type];
+
+  return { ...defaultTemplates[lang][type], ...overrides };
+}
+
+/**
+ * 템플릿의 {{이름}}을 값으로 바꾼다 (없는 값은 빈 문자열)
+ * @param {string} text - 템플릿 문자열
+ * @param {Object} values - 값
+ * @returns {string} - 완성된 문자열
+ */
+function renderTemplate(text, values) {
+  return String(text || '').replace(/\{\{(\w+)\}\}/g, (match, name) => (values[name] === undefined ? '' : String(values[name])));
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  getEmailTemplate,
+  renderTemplate
+};
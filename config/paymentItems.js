@@ -0,0 +1,71 @@
+const logger = require('../utils/logger');
+const { getProduct } = require('./products');
+const { getPlan } = require('./plans');
+
+// 결제 상품 카탈로그 (결제 웹훅의 주문 항목 → 제품/요금제/일수)
+// - sku: 결제 서비스에 등록한 상품 코드 (주문 metadata의 sku)
+// - product: 제품 ID
+// - plan: 요금제 ID
+// - days: 수량 1개당 구독 일수
+const builtInItems = {
+  'rainbowrich-basic-1m': { sku: 'rainbowrich-basic-1m', product: 'rainbowrich', plan: 'basic', days: 30 },
+  'rainbowrich-basic-1y': { sku: 'rainbowrich-basic-1y', product: 'rainbowrich', plan: 'basic', days: 365 },
+  'rainbowrich-pro-1m': { sku: 'rainbowrich-pro-1m', product: 'rainbowrich', plan: 'pro', days: 30 },
+  'rainbowrich-pro-1y': { sku: 'rainbowrich-pro-1y', product: 'rainbowrich', plan: 'pro', days: 365 },
+  'rainbowg-basic-1m': { sku: 'rainbowg-basic-1m', product: 'rainbowg', plan: 'basic', days: 30 },
+  'rainbowg-pro-1m': { sku: 'rainbowg-pro-1m', product: 'rainbowg', plan: 'pro', days: 30 }
+};
+
+/**
+ * PAYMENT_ITEMS_CONFIG 환경 변수(JSON)로 결제 상품을 추가하거나 기존 설정을 덮어쓴다.
+ * 예: {"rainbowg-pro-1y":{"product":"rainbowg","plan":"pro","days":365}}
+ * @returns {Object} - SKU별 설정
+ */
+function loadPaymentItems() {
+  const items = { ...builtInItems };
+
+  if (process.env.PAYMENT_ITEMS_CONFIG) {
+    let overrides;
+    try {
+      overrides = JSON.parse(process.env.PAYMENT_ITEMS_CONFIG);
+    } catch (error) {
+      throw new Error(`Invalid PAYMENT_ITEMS_CONFIG: ${error.message}`);
+    }
+
+    for (const [sku, config] of Object.entries(overrides)) {
+      items[sku] = { ...items[sku], ...config, sku };
+    }
+
+    logger.info(`Loaded payment items: ${Object.keys(items).join(', ')}`);
+  }
+
+  // 제품/요금제 설정에서 빠진 항목은 결제를 받기 전에 시작 단계에서 실패시킨다
+  for (const item of Object.values(items)) {
+    if (!getProduct(item.product)) {
+      throw new Error(`Payment item ${item.sku} has unknown product: ${item.product}`);
+    }
+    if (!getPlan(item.plan)) {
+      throw new Error(`Payment item ${item.sku} has unknown plan: ${item.plan}`);
+    }
+    if (!Number.isInteger(item.days) || item.days < 1) {
+      throw new Error(`Payment item ${item.sku} requires positive integer days`);
+    }
+  }
+
+  return items;
+}
+
+const items = loadPaymentItems();
+
+/**
+ * 결제 상품 설정 조회
+ * @param {string} sku - 상품 코드
+ * @returns {Object|null} - 상품 설정 (없으면 null)
+ */
+function getPaymentItem(sku) {
+  return Object.prototype.hasOwnProperty.call(items, sku) ? items[sku] : null;
+}
+
+module.exports = {
+  getPaymentItem
+};
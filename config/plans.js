@@ -0,0 +1,96 @@
+const logger = require('../utils/logger');
+
+// 요금제를 지정하지 않았을 때 (기존 구독 포함) 적용하는 요금제
+const DEFAULT_PLAN_ID = 'basic';
+
+// 한 번의 구독/갱신으로 추가할 수 있는 최대 일수
+const MAX_SUBSCRIPTION_DAYS = 3650;
+
+// 요금제 카탈로그 (모든 제품 공통)
+// - id: 요금제 식별자 (구독 문서의 plan 필드에 저장)
+// - name: 표시 이름
+// - duration: 기간을 지정하지 않았을 때 사용하는 구독 일수
+// - maxDevices: (선택) 구독당 기기 등록 한도, 0이면 무제한 (없으면 제품 설정 사용)
+// - maxSeats: (선택) 구독당 동시 사용 좌석 수, 0이면 무제한 (없으면 제품 설정 사용)
+// - entitlements: 사용 가능한 기능 목록 (verify 응답과 라이선스 토큰에 포함)
+const builtInPlans = {
+  basic: {
+    id: 'basic',
+    name: 'Basic',
+    duration: 30,
+    entitlements: ['core']
+  },
+  pro: {
+    id: 'pro',
+    name: 'Pro',
+    duration: 30,
+    maxDevices: 5,
+    maxSeats: 3,
+    entitlements: ['core', 'pro']
+  }
+};
+
+/**
+ * PLANS_CONFIG 환경 변수(JSON)로 요금제를 추가하거나 기존 설정을 덮어쓴다.
+ * 예: {"team":{"name":"Team","duration":365,"maxSeats":10,"entitlements":["core","pro","team"]}}
+ * @returns {Object} - 요금제 ID별 설정
+ */
+function loadPlans() {
+  const plans = { ...builtInPlans };
+
+  if (!process.env.PLANS_CONFIG) {
+    return plans;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.PLANS_CONFIG);
+  } catch (error) {
+    throw new Error(`Invalid PLANS_CONFIG: ${error.message}`);
+  }
+
+  for (const [id, config] of Object.entries(overrides)) {
+    const plan = {
+      name: id,
+      entitlements: [],
+      ...plans[id],
+      ...config,
+      id
+    };
+
+    if (!Array.isArray(plan.entitlements)) {
+      throw new Error(`Plan ${id} entitlements must be an array`);
+    }
+
+    plans[id] = plan;
+  }
+
+  logger.info(`Loaded plans: ${Object.keys(plans).join(', ')}`);
+  return plans;
+}
+
+const plans = loadPlans();
+
+/**
+ * 요금제 설정 조회
+ * @param {string} planId - 요금제 ID
+ * @returns {Object|null} - 요금제 설정 (없으면 null)
+ */
+function getPlan(planId) {
+  return Object.prototype.hasOwnProperty.call(plans, planId) ? plans[planId] : null;
+}
+
+/**
+ * 등록된 모든 요금제 목록
+ * @returns {Object[]} - 요금제 설정 배열
+ */
+function listPlans() {
+  return Object.values(plans);
+}
+
+module.exports = {
+  DEFAULT_PLAN_ID,
+  MAX_SUBSCRIPTION_DAYS,
+  getPlan,
+  listPlans
+};
@@ -0,0 +1,133 @@
+const logger = require('../utils/logger');
+const { getPlan } = require('./plans');
+
+// 기본 제품 (기존 /api/* 경로가 가리키는 제품)
+const DEFAULT_PRODUCT_ID = 'rainbowrich';
+
+const RENEWAL_POLICIES = ['extend_from_later', 'extend_from_expiry'];
+const SUBSCRIBE_POLICIES = ['stack', 'replace'];
+
+// 제품 레지스트리
+// - id: URL에 사용되는 제품 식별자 (/api/products/:productId/...)
+// - name: 표시 이름
+// - collection: 구독 정보를 저장하는 Firestore 컬렉션
+// - defaultDuration: 기간을 지정하지 않았을 때 사용하는 구독 일수
+// - gracePeriodDays: 만료 후 유예 기간 (일), 이 기간에는 검증 결과가 GRACE(만료되었지만 사용 가능)로 나온다
+// - renewalPolicy: 갱신 기준일
+//     extend_from_later (기본값): 만료일과 오늘 중 늦은 날부터 연장 (만료된 구독은 오늘부터)
+//     extend_from_expiry: 항상 저장된 만료일부터 연장
+// - subscribePolicy: 이미 구독 중일 때 구독 처리 방식
+//     stack (기본값): 남은 기간 뒤에 이어서 추가
+//     replace: 오늘부터 새로 계산 (남은 기간은 사라짐)
+// - trialDays: 무료 체험 일수, 0이면 체험판을 제공하지 않는다 (사용자명과 기기별로 한 번만 사용 가능)
+// - trialPlan: (선택) 체험판에 적용하는 요금제 (기본값 DEFAULT_PLAN_ID)
+// - reminderDays: 만료 안내 메일을 보내는 시점 (만료 며칠 전, 빈 배열이면 만료 전 안내 없음, 만료 안내는 항상 보낸다)
+// - offlineGraceHours: (선택) 라이선스 토큰으로 오프라인 사용을 허용하는 시간
+// - maxDevices: (선택) 구독당 기기 등록 한도, 0이면 무제한 (기본값 DEFAULT_MAX_DEVICES)
+// - requireDevice: (선택) true면 기기 지문 없이 보낸 검증 요청을 DEVICE_REQUIRED로 거부한다
+//     (기본값 false: 지문을 보내지 않는 기존 클라이언트는 기기 등록 없이 검증)
+// - maxSeats: (선택) 구독당 동시 사용 좌석 수, 0이면 무제한 (기본값 DEFAULT_MAX_SEATS)
+const builtInProducts = {
+  rainbowrich: {
+    id: 'rainbowrich',
+    name: 'Rainbow Rich',
+    collection: 'subscriptions',
+    defaultDuration: 30,
+    gracePeriodDays: 0,
+    renewalPolicy: 'extend_from_later',
+    subscribePolicy: 'stack',
+    trialDays: 7,
+    reminderDays: [7, 1]
+  },
+  rainbowg: {
+    id: 'rainbowg',
+    name: 'RainbowG',
+    collection: 'subscriptions_rainbowg',
+    defaultDuration: 30,
+    gracePeriodDays: 0,
+    renewalPolicy: 'extend_from_later',
+    subscribePolicy: 'stack',
+    trialDays: 7,
+    reminderDays: [7, 1]
+  }
+};
+
+/**
+ * PRODUCTS_CONFIG 환경 변수(JSON)로 제품을 추가하거나 기존 설정을 덮어쓴다.
+ * 예: {"rainbowx":{"name":"RainbowX","collection":"subscriptions_rainbowx"}}
+ * @returns {Object} - 제품 ID별 설정
+ */
+function loadProducts() {
+  const products = { ...builtInProducts };
+
+  if (!process.env.PRODUCTS_CONFIG) {
+    return products;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.PRODUCTS_CONFIG);
+  } catch (error) {
+    throw new Error(`Invalid PRODUCTS_CONFIG: ${error.message}`);
+  }
+
+  for (const [id, config] of Object.entries(overrides)) {
+    const product = {
+      defaultDuration: 30,
+      gracePeriodDays: 0,
+      renewalPolicy: 'extend_from_later',
+      subscribePolicy: 'stack',
+      trialDays: 0,
+      reminderDays: [7, 1],
+      ...products[id],
+      ...config,
+      id
+    };
+
+    if (!product.collection) {
+      throw new Error(`Product ${id} requires a collection`);
+    }
+    if (!RENEWAL_POLICIES.includes(product.renewalPolicy)) {
+      throw new Error(`Product ${id} has invalid renewalPolicy: ${product.renewalPolicy}`);
+    }
+    if (!SUBSCRIBE_POLICIES.includes(product.subscribePolicy)) {
+      throw new Error(`Product ${id} has invalid subscribePolicy: ${product.subscribePolicy}`);
+    }
+    if (product.trialPlan && !getPlan(product.trialPlan)) {
+      throw new Error(`Product ${id} has unknown trialPlan: ${product.trialPlan}`);
+    }
+    if (!Array.isArray(product.reminderDays) || product.reminderDays.some(days => !Number.isInteger(days) || days < 1)) {
+      throw new Error(`Product ${id} reminderDays must be an array of positive integers`);
+    }
+
+    products[id] = product;
+  }
+
+  logger.info(`Loaded products: ${Object.keys(products).join(', ')}`);
+  return products;
+}
+
+const products = loadProducts();
+
+/**
+ * 제품 설정 조회
+ * @param {string} productId - 제품 ID
+ * @returns {Object|null} - 제품 설정 (없으면 null)
+ */
+function getProduct(productId) {
+  return Object.prototype.hasOwnProperty.call(products, productId) ? products[productId] : null;
+}
+
+/**
+ * 등록된 모든 제품 목록
+ * @returns {Object[]} - 제품 설정 배열
+ */
+function listProducts() {
+  return Object.values(products);
+}
+
+module.exports = {
+  DEFAULT_PRODUCT_ID,
+  getProduct,
+  listProducts
+};
@@ -0,0 +1,34 @@
+// 구독 변경 내역 종류(services/subscriptionService.js의 recordHistory)별 웹훅 이벤트
+// 웹훅 엔드포인트는 받을 이벤트를 골라 등록한다 ('*'는 전체)
+const WEBHOOK_EVENTS = {
+  subscribe: 'subscription.subscribed',
+  trial: 'subscription.trial_started',
+  renew: 'subscription.renewed',
+  refund: 'subscription.refunded',
+  cancel: 'subscription.cancelled',
+  cancel_scheduled: 'subscription.cancel_scheduled',
+  reactivate: 'subscription.reactivated',
+  expire: 'subscription.expired'
+};
+
+/**
+ * 변경 내역 종류의 웹훅 이벤트
+ * @param {string} historyType - 변경 내역 종류
+ * @returns {string|null} - 이벤트 이름
+ */
+function getWebhookEvent(historyType) {
+  return WEBHOOK_EVENTS[historyType] || null;
+}
+
+/**
+ * 전체 웹훅 이벤트 목록
+ * @returns {Array<string>}
+ */
+function listWebhookEvents() {
+  return Object.values(WEBHOOK_EVENTS);
+}
+
+module.exports = {
+  getWebhookEvent,
+  listWebhookEvents
+};
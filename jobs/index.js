@@ -0,0 +1,82 @@
+const subscriptionService = require('../services/subscriptionService');
+const notificationService = require('../services/notificationService');
+const adminService = require('../services/adminService');
+const idempotencyService = require('../services/idempotencyService');
+const webhookService = require('../services/webhookService');
+const { nonceCache } = require('../middleware/signature');
+const { listProducts } = require('../config/products');
+
+/**
+ * 제품마다 실행해 제품 ID별 결과로 묶는다
+ * @param {Function} run - 제품 ID를 받는 함수
+ * @returns {Object} - 제품 ID별 결과
+ */
+async function forEachProduct(run) {
+  const results = {};
+
+  for (const product of listProducts()) {
+    results[product.id] = await run(product.id);
+  }
+
+  return results;
+}
+
+// 예약 작업 목록 (services/schedulerService.js에 등록해 서버 안에서 실행)
+// intervalMinutes는 SCHEDULER_JOBS_CONFIG로 바꿀 수 있다. local 작업은 인스턴스 메모리를 다루므로 인스턴스마다 실행한다.
+module.exports = [
+  {
+    name: 'expire-subscriptions',
+    description: '유예 기간이 끝난 구독을 만료로 표시',
+    intervalMinutes: 15,
+    run: () => forEachProduct(productId => subscriptionService.markExpiredSubscriptions(productId))
+  },
+  {
+    name: 'expiry-notices',
+    description: '만료 안내 메일 전송',
+    intervalMinutes: 60,
+    run: () => notificationService.sendAllDueNotifications()
+  },
+  {
+    name: 'webhook-deliveries',
+    description: '구독 변경 웹훅 전송과 실패한 전송 재시도',
+    intervalMinutes: 1,
+    run: () => webhookService.processPending()
+  },
+  {
+    name: 'purge-seat-sessions',
+    description: '만료된 좌석 임대 정리',
+    intervalMinutes: 10,
+    run: () => forEachProduct(productId => subscriptionService.purgeStaleSessions(productId))
+  },
+  {
+    name: 'purge-admin-sessions',
+    description: '만료된 관리자 세션 정리',
+    intervalMinutes: 60,
+    run: () => adminService.purgeExpiredSessions()
+  },
+  {
+    name: 'purge-idempotency-keys',
+    description: '보관 기간이 지난 Idempotency-Key 기록 정리',
+    intervalMinutes: 60,
+    run: () => idempotencyService.purgeExpired()
+  },
+  {
+    name: 'purge-webhook-deliveries',
+    description: '보관 기간이 지난 웹훅 전송 기록 정리',
+    intervalMinutes: 24 * 60,
+    run: () => webhookService.purgeDeliveries()
+  },
+  {
+    name: 'purge-nonces',
+    description: '만료된 요청 nonce 정리',
+    intervalMinutes: 5,
+    local: true,
+    run: async () => nonceCache.purgeExpired()
+  },
+  {
+    name: 'stats-snapshot',
+    description: '제품별 구독 현황 일별 스냅샷 저장',
+    intervalMinutes: 24 * 60,
+    run: () => forEachProduct(productId => subscriptionService.snapshotStats(productId))
+  }
+];
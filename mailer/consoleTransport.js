@@ -0,0 +1,16 @@
+const logger = require('../utils/logger');
+
+/**
+ * 로그 출력 전송 방식 (로컬 개발용, 실제로 보내지 않는다)
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    logger.info(`[mail] To: ${message.to} Subject: ${message.subject}\n${message.text}`);
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * 파일 전송 방식 (로컬 테스트용)
+ * 메일마다 {시각}-{임의 값}.json 파일을 만든다.
+ */
+class FileTransport {
+  constructor(dir) {
+    this.name = 'file';
+    this.dir = path.resolve(dir);
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.promises.writeFile(
+      path.join(this.dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,59 @@
+const logger = require('../utils/logger');
+
+/**
+ * MAIL_TRANSPORT 설정에 따라 메일 전송 방식 생성
+ * - console (기본값): 로그로만 출력 (실제로 보내지 않음)
+ * - file: 메일마다 JSON 파일로 저장 (MAIL_FILE_DIR, 기본값 ./data/mail)
+ * - smtp: SMTP 서버로 전송 (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ *
+ * 모든 전송 방식은 같은 인터페이스를 제공한다: send({ from, to, subject, text })
+ */
+function createTransport() {
+  const transport = process.env.MAIL_TRANSPORT || 'console';
+
+  switch (transport) {
+    case 'console': {
+      const ConsoleTransport = require('./consoleTransport');
+      logger.warn('Using console mail transport, emails will only be logged');
+      return new ConsoleTransport();
+    }
+    case 'file': {
+      const FileTransport = require('./fileTransport');
+      return new FileTransport(process.env.MAIL_FILE_DIR || './data/mail');
+    }
+    case 'smtp': {
+      const SmtpTransport = require('./smtpTransport');
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    }
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+  }
+}
+
+const transport = createTransport();
+logger.info(`Mail transport: ${transport.name}`);
+
+/**
+ * 메일 전송 (보낸 사람은 MAIL_FROM)
+ * @param {Object} message - to, subject, text
+ * @returns {Promise<void>}
+ */
+function sendMail({ to, subject, text }) {
+  return transport.send({
+    from: process.env.MAIL_FROM || 'Rainbow Rich <no-reply@localhost>',
+    to,
+    subject,
+    text
+  });
+}
+
+module.exports = {
+  transport,
+  sendMail
+};
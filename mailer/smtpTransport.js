@@ -0,0 +1,26 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP 전송 방식 (nodemailer)
+ */
+class SmtpTransport {
+  constructor({ host, port, secure, user, pass }) {
+    if (!host) {
+      throw new Error('SMTP_HOST is required for MAIL_TRANSPORT=smtp');
+    }
+
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+module.exports = SmtpTransport;
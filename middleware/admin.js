@@ -0,0 +1,57 @@
+const adminService = require('../services/adminService');
+const logger = require('../utils/logger');
+
+/**
+ * Authorization: Bearer <token> 헤더에서 세션 토큰 추출
+ * @param {Object} req - Express 요청
+ * @returns {string|null} - 세션 토큰
+ */
+function getSessionToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * 관리자 세션 확인 미들웨어
+ * 로그인(POST /api/admin/login)으로 받은 토큰이 필요하며, 확인된 관리자는 req.admin에 설정한다.
+ * @param {string} [requiredRole] - 필요한 최소 역할 (viewer < operator < superadmin)
+ */
+function requireAdmin(requiredRole = 'viewer') {
+  return async (req, res, next) => {
+    try {
+      const token = getSessionToken(req);
+      const admin = token ? await adminService.authenticate(token) : null;
+
+      if (!admin) {
+        logger.warn(`Invalid admin session for ${req.originalUrl} from ${req.ip}`);
+        return res.status(401).json({
+          error: 'Invalid admin credentials'
+        });
+      }
+
+      if (!adminService.hasRole(admin.role, requiredRole)) {
+        logger.warn(`Admin ${admin.username} (${admin.role}) denied ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+          error: 'Insufficient admin role',
+          requiredRole
+        });
+      }
+
+      req.admin = admin;
+      req.adminToken = token;
+      next();
+    } catch (error) {
+      logger.error(`Error authenticating admin: ${error.message}`);
+      res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  };
+}
+
+module.exports = {
+  getSessionToken,
+  requireAdmin
+};
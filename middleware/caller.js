@@ -0,0 +1,142 @@
+const adminService = require('../services/adminService');
+const receiptService = require('../services/receiptService');
+const { getPaymentProvider } = require('../services/paymentProviders');
+const { getSessionToken } = require('./admin');
+const { checkSignature } = require('./signature');
+const logger = require('../utils/logger');
+
+// 호출 주체별 확인 방법
+// 반환값: null(해당 자격 증명이 없음) | { caller } | { status, code, message } (자격 증명이 있지만 유효하지 않음)
+// 확인된 주체는 req.caller({ type, id })에 설정하고, 주체별 정보를 req.admin, req.receipt, req.paymentProvider에 남긴다.
+const authenticators = {
+  // 관리자 세션 (Authorization: Bearer <token>, operator 이상)
+  async admin(req) {
+    const token = getSessionToken(req);
+
+    if (!token) {
+      return null;
+    }
+
+    const admin = await adminService.authenticate(token);
+
+    if (!admin) {
+      return { status: 401, code: 'UNAUTHORIZED', message: '관리자 세션이 유효하지 않습니다.' };
+    }
+    if (!adminService.hasRole(admin.role, 'operator')) {
+      return { status: 403, code: 'FORBIDDEN', message: '관리자 권한이 부족합니다.' };
+    }
+
+    req.admin = admin;
+    req.adminToken = token;
+    return { caller: { type: 'admin', id: admin.username } };
+  },
+
+  // 결제 서비스 웹훅 (경로의 :provider와 서명 헤더, services/paymentProviders.js)
+  async webhook(req) {
+    const provider = getPaymentProvider(req.params.provider);
+
+    if (!provider) {
+      return null;
+    }
+
+    if (!req.rawBody || !provider.verify(req.rawBody.toString('utf8'), req.headers, provider.secret)) {
+      return { status: 400, code: 'INVALID_SIGNATURE', message: '웹훅 서명이 유효하지 않습니다.' };
+    }
+
+    req.paymentProvider = provider;
+    return { caller: { type: 'webhook', id: provider.id } };
+  },
+
+  // 구매 영수증을 가진 서명된 클라이언트 (body.receipt, services/receiptService.js)
+  // 영수증의 사용자, 제품과 요청이 같아야 하며, 요청에 요금제나 일수를 지정했다면 영수증과 같아야 한다.
+  async receipt(req) {
+    const data = req.body || {};
+
+    if (!data.receipt) {
+      return null;
+    }
+
+    const signature = checkSignature(req);
+    if (!signature.valid) {
+      return { status: signature.status || 401, code: 'INVALID_SIGNATURE', message: signature.message, errors: signature.errors };
+    }
+
+    const verified = receiptService.verify(data.receipt);
+    if (!verified.success) {
+      return { status: 403, code: verified.code, message: verified.message };
+    }
+
+    const { receipt } = verified;
+    if (receipt.username !== data.username || receipt.product !== req.product.id ||
+        (data.plan !== undefined && data.plan !== receipt.plan) ||
+        (data.days !== undefined && Number(data.days) !== receipt.days)) {
+      return { status: 403, code: 'RECEIPT_MISMATCH', message: '구매 영수증과 요청 내용이 일치하지 않습니다.' };
+    }
+
+    req.receipt = receipt;
+    return { caller: { type: 'receipt', id: receipt.id } };
+  },
+
+  // 서명된 클라이언트 (middleware/signature.js)
+  async client(req) {
+    const signature = checkSignature(req);
+
+    if (!signature.valid) {
+      return { status: signature.status || 401, code: 'INVALID_SIGNATURE', message: signature.message, errors: signature.errors };
+    }
+
+    return { caller: { type: 'client', id: (req.body && req.body.username) || null } };
+  }
+};
+
+/**
+ * 호출 주체 제한 미들웨어
+ * 라우트마다 호출할 수 있는 주체를 선언하고, 나열한 순서대로 확인해 처음 확인된 주체를 req.caller에 설정한다.
+ * 유효하지 않은 자격 증명은 그 사유(401 등)로, 허용된 자격 증명이 없으면 403으로 거부한다.
+ * @param {...string} types - 허용할 주체 (admin | webhook | receipt | client)
+ */
+function allowCallers(...types) {
+  return async (req, res, next) => {
+    try {
+      let failure = null;
+
+      for (const type of types) {
+        const result = await authenticators[type](req);
+
+        if (result && result.caller) {
+          req.caller = result.caller;
+          return next();
+        }
+        failure = failure || result;
+      }
+
+      if (failure) {
+        logger.warn(`Rejected ${req.method} ${req.originalUrl} from ${req.ip}: ${failure.message}`);
+        return res.status(failure.status).json({
+          success: false,
+          code: failure.code,
+          message: failure.message,
+          errors: failure.errors
+        });
+      }
+
+      logger.warn(`No allowed caller (${types.join(', ')}) for ${req.method} ${req.originalUrl} from ${req.ip}`);
+      res.status(403).json({
+        success: false,
+        code: 'FORBIDDEN',
+        message: '이 요청을 호출할 권한이 없습니다.',
+        allowedCallers: types
+      });
+    } catch (error) {
+      logger.error(`Error checking caller: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: '서버 오류가 발생했습니다.'
+      });
+    }
+  };
+}
+
+module.exports = {
+  allowCallers
+};
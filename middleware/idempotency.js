@@ -0,0 +1,85 @@
+const idempotencyService = require('../services/idempotencyService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// Idempotency-Key 헤더 최대 길이
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotency-Key 미들웨어
+ * 헤더가 있으면 같은 키의 첫 성공 응답을 저장해 두고, 재시도 요청에는 변경을 다시 적용하지 않고 그 응답을 돌려준다.
+ * 헤더가 없으면 그대로 처리한다. 서명 검증(requireSignature), 호출 주체 확인(allowCallers)과 관리자 인증 뒤에 두어야 한다.
+ * @param {string} operation - 작업 이름 (키 구분용, 예: subscription.renew)
+ */
+function idempotent(operation) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key 형식이 올바르지 않습니다.'
+      });
+    }
+
+    const productId = req.product ? req.product.id : null;
+    const recordId = idempotencyService.getRecordId(`${productId}:${operation}`, auditService.getActor(req), key);
+    let result;
+
+    try {
+      result = await idempotencyService.begin(recordId, idempotencyService.hashRequest(req.body));
+    } catch (error) {
+      logger.error(`Error checking idempotency key for ${operation}: ${error.message}`);
+      return res.status(500).json({
+        success: false,
+        message: '서버 오류가 발생했습니다.'
+      });
+    }
+
+    switch (result.status) {
+      case 'replay':
+        logger.info(`Replaying ${operation} response for idempotency key`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(result.statusCode).json(result.response);
+      case 'in_progress':
+        return res.status(409).json({
+          success: false,
+          code: 'IDEMPOTENCY_IN_PROGRESS',
+          message: '같은 Idempotency-Key의 요청을 처리 중입니다. 잠시 후 다시 시도해주세요.'
+        });
+      case 'mismatch':
+        return res.status(422).json({
+          success: false,
+          code: 'IDEMPOTENCY_KEY_REUSED',
+          message: '같은 Idempotency-Key가 다른 요청에 사용되었습니다.'
+        });
+    }
+
+    // 응답을 저장한 뒤에 보낸다 (저장 전에 재시도가 도착해도 중복 처리되지 않도록)
+    // 변경이 적용된 성공 응답만 저장하고, 적용되지 않은 응답(409 CONFLICT 등 4xx/5xx, success: false)은
+    // 기록을 지워 같은 키로 다시 시도하면 다시 처리되게 한다
+    const json = res.json.bind(res);
+    res.json = body => {
+      const applied = res.statusCode < 400 && !(body && body.success === false);
+      const save = applied
+        ? idempotencyService.complete(recordId, res.statusCode, body)
+        : idempotencyService.release(recordId);
+
+      save
+        .catch(error => logger.error(`Error saving idempotency key for ${operation}: ${error.message}`))
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,40 @@
+const { getProduct } = require('../config/products');
+
+/**
+ * URL 파라미터(:productId)로 제품을 찾아 req.product에 설정
+ */
+function resolveProduct(req, res, next) {
+  const product = getProduct(req.params.productId);
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: '알 수 없는 제품입니다.'
+    });
+  }
+
+  req.product = product;
+  next();
+}
+
+/**
+ * 고정된 제품을 req.product에 설정 (기존 경로 호환용)
+ * @param {string} productId - 제품 ID
+ */
+function useProduct(productId) {
+  const product = getProduct(productId);
+
+  if (!product) {
+    throw new Error(`Unknown product: ${productId}`);
+  }
+
+  return (req, res, next) => {
+    req.product = product;
+    next();
+  };
+}
+
+module.exports = {
+  resolveProduct,
+  useProduct
+};
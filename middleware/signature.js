@@ -0,0 +1,78 @@
+const authService = require('../services/authService');
+const NonceCache = require('../services/nonceCache');
+const logger = require('../utils/logger');
+
+// 타임스탬프는 앞뒤로 허용 범위만큼 유효하므로 nonce는 그 두 배 동안 기억한다
+const nonceCache = new NonceCache(authService.requestMaxAgeMs * 2);
+
+/**
+ * 클라이언트 요청 서명 확인
+ * body의 timestamp, nonce, signature(HMAC-SHA256)를 확인하고 재사용된 nonce를 거부한다.
+ * 한 요청에서 여러 번 호출해도 nonce를 한 번만 소진하도록 결과를 req에 남겨둔다.
+ * REQUIRE_SIGNED_REQUESTS=false 로 설정하면 검증을 건너뛴다 (구버전 클라이언트 전환 기간용).
+ * @param {Object} req - Express 요청
+ * @returns {Object} - valid, status(401이 아닌 응답 상태), message(실패 사유), errors(형식 오류 목록)
+ */
+function checkSignature(req) {
+  if (req.signatureCheck) {
+    return req.signatureCheck;
+  }
+
+  req.signatureCheck = verifyRequest(req);
+  return req.signatureCheck;
+}
+
+function verifyRequest(req) {
+  if (process.env.REQUIRE_SIGNED_REQUESTS === 'false') {
+    return { valid: true };
+  }
+
+  const data = req.body || {};
+  const validation = authService.validateRequestData(data);
+
+  if (!validation.isValid) {
+    logger.warn(`Rejected unsigned request to ${req.originalUrl} from ${req.ip}: ${validation.errors.join(', ')}`);
+    return { valid: false, message: '요청 서명이 유효하지 않습니다.', errors: validation.errors };
+  }
+
+  if (!authService.verifySignature(data, String(data.signature))) {
+    logger.warn(`Invalid signature for ${req.originalUrl} from ${req.ip}`);
+    return { valid: false, message: '요청 서명이 유효하지 않습니다.' };
+  }
+
+  if (nonceCache.isFull()) {
+    logger.warn(`Nonce cache full (${nonceCache.maxEntries}), rejected request to ${req.originalUrl} from ${req.ip}`);
+    return { valid: false, status: 503, message: '요청이 많아 처리할 수 없습니다. 잠시 후 다시 시도해주세요.' };
+  }
+
+  // 서명 검증 후에 nonce를 기록해야 위조 요청으로 정상 nonce를 소진시킬 수 없다
+  if (!nonceCache.use(`${data.username}:${data.nonce}`)) {
+    logger.warn(`Replayed request to ${req.originalUrl} from ${req.ip}`);
+    return { valid: false, message: '이미 처리된 요청입니다.' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * 클라이언트 요청 서명 검증 미들웨어 (checkSignature 참고)
+ */
+function requireSignature(req, res, next) {
+  const result = checkSignature(req);
+
+  if (!result.valid) {
+    return res.status(result.status || 401).json({
+      success: false,
+      message: result.message,
+      errors: result.errors
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  checkSignature,
+  requireSignature,
+  nonceCache
+};
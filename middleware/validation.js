@@ -0,0 +1,21 @@
+const { validationResult } = require('express-validator');
+
+/**
+ * express-validator 검증 결과 확인
+ * 검증 오류가 있으면 400 응답을 보낸다.
+ */
+function handleValidation(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: errors.array()
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  handleValidation
+};
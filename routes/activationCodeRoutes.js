@@ -0,0 +1,154 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+
+const activationCodeService = require('../services/activationCodeService');
+const auditService = require('../services/auditService');
+const { DEFAULT_PLAN_ID, getPlan } = require('../config/plans');
+const { resolveProduct } = require('../middleware/product');
+const { requireAdmin } = require('../middleware/admin');
+const { handleValidation } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
+const logger = require('../utils/logger');
+const { parseExpiry } = require('../utils/time');
+
+// 한 번에 생성할 수 있는 최대 코드 수
+const MAX_BATCH_SIZE = 1000;
+
+// 관리자용 활성화 코드 API (판매처에 제공하는 일회용 코드 생성/내보내기)
+// 사용자는 POST /api/redeem으로 코드를 사용한다 (routes/clientRoutes.js)
+const router = express.Router();
+
+/**
+ * CSV 필드 이스케이프
+ * @param {*} value - 값
+ * @returns {string} - CSV 필드
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 관리자 API - 코드 묶음 생성
+// expiresAt에 날짜만 지정하면 그날 하루 전체(업무 시간대 기준)까지 사용할 수 있다
+router.post('/:productId/activation-codes', [
+  resolveProduct,
+  requireAdmin('operator'),
+  body('count').isInt({ min: 1, max: MAX_BATCH_SIZE }).toInt(),
+  body('days').optional().isInt({ min: 1, max: 3650 }).toInt(),
+  body('plan').optional().custom(value => getPlan(value) !== null),
+  body('expiresAt').optional().isISO8601(),
+  body('note').optional().isString().trim().isLength({ max: 200 }),
+  handleValidation,
+  idempotent('activation.generate')
+], async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { count, days, plan = DEFAULT_PLAN_ID, expiresAt, note } = req.body;
+
+    const result = await activationCodeService.createBatch(product.id, {
+      count,
+      days: days || null,
+      plan,
+      expiresAt: expiresAt ? parseExpiry(expiresAt).toISOString() : null,
+      note: note || null,
+      createdBy: req.admin.username
+    });
+
+    await auditService.record(req, {
+      action: 'activation.generate',
+      product: product.id,
+      details: { batchId: result.batchId, count, days: result.days, plan, expiresAt: result.expiresAt }
+    });
+
+    res.json({ success: true, message: "활성화 코드가 생성되었습니다.", ...result });
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in activation code generation: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 코드 묶음 목록 (최신순)
+router.get('/:productId/activation-codes/batches', [
+  resolveProduct,
+  requireAdmin('viewer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  const { product } = req;
+
+  try {
+    const batches = await activationCodeService.listBatches(product.id, req.query.limit);
+    res.json({ success: true, batches });
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in activation code batches: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 코드 묶음 내보내기 (format=csv 기본값, json)
+// GET /api/admin/:productId/activation-codes/batches/:batchId/export?format=csv
+router.get('/:productId/activation-codes/batches/:batchId/export', [
+  resolveProduct,
+  requireAdmin('operator'),
+  param('batchId').isAlphanumeric().isLength({ min: 1, max: 64 }),
+  query('format').optional().isIn(['csv', 'json']),
+  handleValidation
+], async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { batchId } = req.params;
+    const result = await activationCodeService.getBatch(product.id, batchId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "코드 묶음을 찾을 수 없습니다."
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'activation.export',
+      product: product.id,
+      details: { batchId, count: result.codes.length }
+    });
+
+    if (req.query.format === 'json') {
+      return res.json({ success: true, ...result });
+    }
+
+    const { batch, codes } = result;
+    const lines = [
+      ['code', 'product', 'plan', 'days', 'expiresAt', 'status', 'redeemedBy', 'redeemedAt'].join(','),
+      ...codes.map(code => [
+        code.code,
+        batch.product,
+        batch.plan,
+        batch.days,
+        batch.expiresAt,
+        code.status,
+        code.redeemedBy,
+        code.redeemedAt
+      ].map(toCsvField).join(','))
+    ];
+
+    res.type('text/csv');
+    res.attachment(`activation-codes-${product.id}-${batchId}.csv`);
+    res.send(`${lines.join('\r\n')}\r\n`);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in activation code export: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
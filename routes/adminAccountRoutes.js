@@ -0,0 +1,182 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param } = require('express-validator');
+
+const adminService = require('../services/adminService');
+const auditService = require('../services/auditService');
+const { requireAdmin } = require('../middleware/admin');
+const { handleValidation } = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+// 관리자 로그인 / 계정 관리 API
+const router = express.Router();
+
+// 로그인 시도 제한 (IP당 15분에 10회)
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    error: 'Too many login attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const usernameRule = value => /^[A-Za-z0-9._@-]{3,64}$/.test(value);
+
+// 로그인 - 세션 토큰 발급
+router.post('/login', loginLimiter, [
+  body('username').isString().isLength({ min: 1, max: 64 }),
+  body('password').isString().isLength({ min: 1, max: 256 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const result = await adminService.login(username, password, req.ip);
+
+    await auditService.record(req, {
+      action: result.success ? 'admin.login' : 'admin.login_failed',
+      actor: `admin:${username}`
+    });
+
+    res.status(result.success ? 200 : 401).json(result);
+
+  } catch (error) {
+    logger.error(`Error in admin login: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 로그아웃 - 현재 세션 종료
+router.post('/logout', requireAdmin('viewer'), async (req, res) => {
+  try {
+    await adminService.logout(req.adminToken);
+    await auditService.record(req, { action: 'admin.logout' });
+    logger.info(`Admin ${req.admin.username} logged out`);
+    res.json({ success: true, message: "로그아웃되었습니다." });
+
+  } catch (error) {
+    logger.error(`Error in admin logout: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 현재 로그인한 관리자 정보
+router.get('/me', requireAdmin('viewer'), (req, res) => {
+  res.json({ success: true, admin: req.admin });
+});
+
+// 비밀번호 변경
+router.post('/password', requireAdmin('viewer'), [
+  body('currentPassword').isString().isLength({ min: 1, max: 256 }),
+  body('newPassword').isString().isLength({ min: 1, max: 256 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const result = await adminService.changePassword(
+      req.admin.username,
+      currentPassword,
+      newPassword,
+      req.adminToken
+    );
+
+    if (result.success) {
+      await auditService.record(req, { action: 'admin.password' });
+    }
+
+    res.status(result.success ? 200 : 400).json(result);
+
+  } catch (error) {
+    logger.error(`Error in admin password change: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 계정 목록 (superadmin)
+router.get('/accounts', requireAdmin('superadmin'), async (req, res) => {
+  try {
+    const admins = await adminService.listAdmins();
+    res.json({ success: true, admins });
+
+  } catch (error) {
+    logger.error(`Error in admin accounts: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 계정 생성 (superadmin)
+router.post('/accounts', requireAdmin('superadmin'), [
+  body('username').custom(usernameRule),
+  body('password').isString().isLength({ min: 1, max: 256 }),
+  body('role').isIn(adminService.roles),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    const result = await adminService.createAdmin(username, password, role, req.admin.username);
+
+    if (result.success) {
+      await auditService.record(req, { action: 'admin.create', details: { username, role } });
+    }
+
+    res.status(result.success ? 201 : 400).json(result);
+
+  } catch (error) {
+    logger.error(`Error in admin account creation: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 역할 변경 / 비활성화 (superadmin, 자기 계정은 변경 불가)
+router.patch('/accounts/:username', requireAdmin('superadmin'), [
+  param('username').custom(usernameRule),
+  body('role').optional().isIn(adminService.roles),
+  body('disabled').optional().isBoolean().toBoolean(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    if (username === req.admin.username) {
+      return res.status(400).json({
+        success: false,
+        message: "자신의 계정은 변경할 수 없습니다."
+      });
+    }
+
+    const result = await adminService.updateAdmin(username, {
+      role: req.body.role,
+      disabled: req.body.disabled
+    });
+
+    logger.info(`Admin ${req.admin.username} updated account ${username}: ${result.message}`);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'admin.update',
+        details: { username, role: req.body.role, disabled: req.body.disabled }
+      });
+    }
+
+    res.status(result.success ? 200 : 400).json(result);
+
+  } catch (error) {
+    logger.error(`Error in admin account update: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
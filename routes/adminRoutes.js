@@ -0,0 +1,309 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+
+const subscriptionService = require('../services/subscriptionService');
+const auditService = require('../services/auditService');
+const { DEFAULT_PRODUCT_ID, getProduct, listProducts } = require('../config/products');
+const { DEFAULT_PLAN_ID, MAX_SUBSCRIPTION_DAYS, getPlan } = require('../config/plans');
+const { resolveProduct, useProduct } = require('../middleware/product');
+const { requireAdmin } = require('../middleware/admin');
+const { handleValidation } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
+const logger = require('../utils/logger');
+const { addDays, formatDate, isDateOnly, parseExpiry, parseStartTime } = require('../utils/time');
+
+// 통계 조회 최대 기간 (일)
+const MAX_STATS_RANGE_DAYS = 366;
+
+// 관리자용 API
+// 모든 요청은 관리자 세션이 필요하며 라우트마다 최소 역할을 지정한다 (middleware/admin.js)
+const router = express.Router();
+
+// 동시 요청 충돌(code: CONFLICT)은 409로 응답해 클라이언트가 다시 시도할 수 있게 한다
+function getStatus(result) {
+  return result.code === 'CONFLICT' ? 409 : 200;
+}
+
+// 관리자 API - 구독 등록
+const adminSubscribe = [
+  requireAdmin('operator'),
+  body('username').isEmail().normalizeEmail(),
+  body('duration').optional().isInt({ min: 1, max: MAX_SUBSCRIPTION_DAYS }),
+  body('plan').optional().custom(value => getPlan(value) !== null),
+  handleValidation,
+  idempotent('subscription.subscribe'),
+  async (req, res) => {
+    const { product } = req;
+
+    try {
+      const { username, duration, plan = DEFAULT_PLAN_ID } = req.body;
+
+      // duration이 없으면 요금제 기간 사용
+      const result = await subscriptionService.subscribe(username, duration ? parseInt(duration) : null, product.id, {
+        plan,
+        source: { channel: 'admin', actor: req.admin.username }
+      });
+      logger.info(`[${product.id}] Admin subscription created for ${username}: ${plan}, ${result.days} days`);
+
+      if (result.success) {
+        await auditService.record(req, {
+          action: 'subscription.subscribe',
+          product: product.id,
+          username,
+          beforeExpires: result.previousExpires,
+          afterExpires: result.expires,
+          details: { days: result.days, plan: result.plan }
+        });
+      }
+
+      res.status(getStatus(result)).json(result);
+
+    } catch (error) {
+      logger.error(`[${product.id}] Error in admin subscribe: ${error.message}`);
+      res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  }
+];
+
+// 관리자 API - 전체 제품 통계 (구독 현황, 만료 예측, 기간별 신규/갱신/취소)
+// GET /api/admin/stats?from=2024-01-01&to=2024-01-31&product=rainbowg
+router.get('/stats', [
+  requireAdmin('viewer'),
+  query('from').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  query('to').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  query('product').optional().custom(value => getProduct(value) !== null),
+  handleValidation
+], async (req, res) => {
+  try {
+    // 일별 통계는 업무 시간대 기준 날짜로 기록된다
+    const to = req.query.to || formatDate(new Date());
+    const from = req.query.from || formatDate(addDays(parseStartTime(to), -29));
+
+    if (from > to || (new Date(to) - new Date(from)) / 86400000 > MAX_STATS_RANGE_DAYS) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: [{ msg: `from must be on or before to, within ${MAX_STATS_RANGE_DAYS} days` }]
+      });
+    }
+
+    const products = req.query.product ? [getProduct(req.query.product)] : listProducts();
+
+    const stats = await Promise.all(products.map(async product => {
+      const [summary, activity] = await Promise.all([
+        subscriptionService.getSubscriptionStats(product.id),
+        subscriptionService.getDailyStats(product.id, from, to)
+      ]);
+
+      return {
+        id: product.id,
+        name: product.name,
+        ...summary,
+        activity
+      };
+    }));
+
+    res.json({
+      success: true,
+      range: { from, to },
+      products: stats
+    });
+
+  } catch (error) {
+    logger.error(`Error in admin stats: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 감사 로그 조회 (최신순)
+// GET /api/admin/audit?username=a@b.com&actor=admin:ops&action=subscription.cancel&from=...&to=...
+router.get('/audit', [
+  requireAdmin('operator'),
+  query('username').optional().isString().isLength({ min: 1, max: 200 }),
+  query('actor').optional().isString().isLength({ min: 1, max: 200 }),
+  query('action').optional().isString().isLength({ min: 1, max: 100 }),
+  query('product').optional().custom(value => getProduct(value) !== null),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('cursor').optional().isBase64({ urlSafe: true }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { username, actor, action, product, from, to, limit, cursor } = req.query;
+
+    // 날짜만 지정하면 업무 시간대 기준 해당 일 전체를 포함하도록 확장 (to는 이하 조건이므로 다음 날 0시 직전까지)
+    const result = await auditService.query({
+      username,
+      actor,
+      action,
+      product,
+      from: from ? parseStartTime(from).toISOString() : undefined,
+      to: to ? (isDateOnly(to) ? new Date(parseExpiry(to).getTime() - 1) : new Date(to)).toISOString() : undefined,
+      limit,
+      cursor
+    });
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    logger.error(`Error in admin audit: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 기존 경로 (/api/admin/subscribe = Rainbow Rich)
+router.post('/subscribe', useProduct(DEFAULT_PRODUCT_ID), adminSubscribe);
+
+// 제품별 경로 (/api/admin/rainbowg/subscribe 등)
+router.post('/:productId/subscribe', resolveProduct, adminSubscribe);
+
+// 관리자 API - 구독 목록 (검색, 상태 필터, 만료일 정렬, 커서 페이지네이션)
+// GET /api/admin/:productId/subscriptions?status=expiring&days=7&q=user&order=asc&limit=50&cursor=...
+router.get('/:productId/subscriptions', [
+  resolveProduct,
+  requireAdmin('viewer'),
+  query('status').optional().isIn(['active', 'expired', 'expiring']),
+  query('days').optional().isInt({ min: 1, max: 3650 }).toInt(),
+  query('q').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  query('order').optional().isIn(['asc', 'desc']),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('cursor').optional().isBase64({ urlSafe: true }),
+  handleValidation
+], async (req, res) => {
+  const { product } = req;
+
+  try {
+    const result = await subscriptionService.listSubscriptions(product.id, {
+      status: req.query.status,
+      days: req.query.days,
+      q: req.query.q,
+      order: req.query.order,
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+    res.json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in admin subscriptions: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 구독 변경 내역 (구독/갱신/취소/재활성화, 최신순)
+// GET /api/admin/:productId/subscriptions/:username/history?limit=50&cursor=...
+router.get('/:productId/subscriptions/:username/history', [
+  resolveProduct,
+  requireAdmin('viewer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('cursor').optional().isBase64({ urlSafe: true }),
+  handleValidation
+], async (req, res) => {
+  const { product } = req;
+
+  try {
+    const result = await subscriptionService.getHistory(req.params.username, product.id, {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+    res.json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in admin history: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 구독의 등록 기기 목록
+router.get('/:productId/subscriptions/:username/devices', resolveProduct, requireAdmin('viewer'), async (req, res) => {
+  const { product } = req;
+
+  try {
+    const result = await subscriptionService.listDevices(req.params.username, product.id);
+    res.json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in admin devices: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 기기 등록 해제
+router.delete('/:productId/subscriptions/:username/devices/:deviceId', resolveProduct, requireAdmin('operator'), async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { username, deviceId } = req.params;
+
+    const result = await subscriptionService.removeDevice(username, deviceId, product.id);
+    logger.info(`[${product.id}] Admin device removal for ${username} (${deviceId}): ${result.message}`);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'device.remove',
+        product: product.id,
+        username,
+        details: { deviceId }
+      });
+    }
+
+    res.status(getStatus(result)).json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in admin device removal: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 구독별 기기 등록 한도 변경 (maxDevices: null이면 제품 기본값 사용)
+router.put('/:productId/subscriptions/:username/device-limit', [
+  resolveProduct,
+  requireAdmin('operator'),
+  param('username').isLength({ min: 1 }),
+  body('maxDevices').optional({ nullable: true }).isInt({ min: 0, max: 100 }),
+  handleValidation
+], async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { username } = req.params;
+    const maxDevices = req.body.maxDevices === null || req.body.maxDevices === undefined
+      ? null
+      : parseInt(req.body.maxDevices);
+
+    const result = await subscriptionService.setDeviceLimit(username, maxDevices, product.id);
+    logger.info(`[${product.id}] Admin device limit for ${username}: ${maxDevices}`);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'device.limit',
+        product: product.id,
+        username,
+        details: { maxDevices }
+      });
+    }
+
+    res.status(getStatus(result)).json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in admin device limit: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
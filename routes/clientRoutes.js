@@ -0,0 +1,599 @@
+const express = require('express');
+const { body } = require('express-validator');
+
+const subscriptionService = require('../services/subscriptionService');
+const licenseService = require('../services/licenseService');
+const auditService = require('../services/auditService');
+const activationCodeService = require('../services/activationCodeService');
+const { DEFAULT_PLAN_ID, MAX_SUBSCRIPTION_DAYS, getPlan } = require('../config/plans');
+const { requireSignature } = require('../middleware/signature');
+const { allowCallers } = require('../middleware/caller');
+const { handleValidation } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
+const logger = require('../utils/logger');
+
+// 클라이언트용 구독 API
+// req.product는 라우터를 마운트하는 쪽에서 설정한다 (middleware/product.js)
+// 모든 요청은 HMAC 서명이 필요하다 (middleware/signature.js)
+// 구독 변경 요청은 라우트마다 호출할 수 있는 주체를 지정한다 (middleware/caller.js)
+//   구독/갱신: 관리자 세션 또는 구매 영수증을 가진 클라이언트 (결제는 /api/payments 웹훅으로 반영된다)
+//   체험/코드 사용/취소/재활성화: 서명된 클라이언트 (취소/재활성화는 관리자 세션도 가능)
+// 구독 변경 요청은 Idempotency-Key 헤더로 재시도 시 중복 적용을 막을 수 있다 (middleware/idempotency.js)
+const router = express.Router();
+
+// 동시 요청 충돌(code: CONFLICT)은 409로 응답해 클라이언트가 다시 시도할 수 있게 한다
+function getStatus(result) {
+  return result.code === 'CONFLICT' ? 409 : 200;
+}
+
+// 변경 내역에 남길 변경 경로 (호출 주체별)
+function getSource(req) {
+  switch (req.caller.type) {
+    case 'admin':
+      return { channel: 'admin', actor: req.admin.username };
+    case 'receipt':
+      return { channel: 'receipt', actor: req.receipt.id };
+    default:
+      return {};
+  }
+}
+
+// 좌석 세션 ID 형식 (session/start가 발급하는 32자리 hex)
+const SESSION_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+// 구독/갱신 요청 검증 (일수는 MAX_SUBSCRIPTION_DAYS 이하)
+const subscriptionRules = [
+  body('username').isEmail(),
+  body('days').optional().isInt({ min: 1, max: MAX_SUBSCRIPTION_DAYS }).toInt(),
+  body('promo').optional({ nullable: true }).isString()
+];
+
+// 구독 검증 API
+router.post('/verify', [
+  requireSignature,
+  body('sessionId').optional().isString().matches(SESSION_ID_PATTERN),
+  handleValidation
+], async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { username, fingerprint, deviceName, sessionId } = req.body;
+    
+    if (!username) {
+      return res.status(400).json({
+        success: false,
+        message: '사용자명이 필요합니다.'
+      });
+    }
+
+    const result = await subscriptionService.verifySubscription(username, product.id, {
+      fingerprint,
+      name: deviceName,
+      sessionId
+    });
+    
+    logger.info(`[${product.id}] Subscription verification for ${username}: ${result.message}`);
+
+    if (result.deviceRegistered) {
+      await auditService.record(req, {
+        action: 'device.register',
+        product: product.id,
+        username,
+        details: { deviceId: result.deviceId }
+      });
+    }
+    
+    if (result.success) {
+      // 유예 기간 중이면 code: GRACE와 유예 종료일(graceUntil)을 함께 보낸다
+      // 체험판 구독이면 trial: true
+      res.json({
+        success: true,
+        code: result.code,
+        message: result.message,
+        expires: result.expires,
+        graceUntil: result.graceUntil,
+        trial: result.trial,
+        plan: result.plan,
+        deviceId: result.deviceId,
+        seats: result.seats,
+        license: licenseService.issueToken({
+          username,
+          product,
+          expires: result.expires,
+          deviceId: result.deviceId,
+          graceUntil: result.graceUntil,
+          plan: result.plan,
+          trial: result.trial
+        })
+      });
+    } else {
+      res.status(getStatus(result)).json({
+        success: false,
+        code: result.code,
+        message: result.message,
+        seats: result.seats
+      });
+    }
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in verify: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 구독 생성 API
+// 영수증으로 호출하면 요금제와 일수는 영수증 내용을 사용한다 (services/receiptService.js)
+// promo: 프로모션 코드 (선택, 사용할 수 없는 코드면 구독하지 않는다)
+router.post('/subscribe', [
+  allowCallers('admin', 'receipt'),
+  ...subscriptionRules,
+  body('plan').optional().custom(value => getPlan(value) !== null),
+  handleValidation,
+  idempotent('subscription.subscribe')
+], async (req, res) => {
+  const { product, receipt } = req;
+
+  try {
+    const { username, promo } = req.body;
+    const plan = (receipt ? receipt.plan : req.body.plan) || DEFAULT_PLAN_ID;
+
+    // 일수가 없으면 요금제 기간
+    const duration = (receipt ? receipt.days : req.body.days) || null;
+    const result = await subscriptionService.subscribe(username, duration, product.id, {
+      plan,
+      promo,
+      receipt,
+      source: getSource(req)
+    });
+    
+    logger.info(`[${product.id}] Subscription created for ${username}: ${result.success ? `${plan}, ${result.days} days` : result.message}`);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'subscription.subscribe',
+        product: product.id,
+        username,
+        beforeExpires: result.previousExpires,
+        afterExpires: result.expires,
+        details: { days: result.days, plan: result.plan, promo: result.promo, caller: req.caller.type, receipt: receipt && receipt.id }
+      });
+    }
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: '구독이 성공적으로 생성되었습니다.',
+        expires: result.expires,
+        plan: result.plan,
+        promo: result.promo
+      });
+    } else {
+      res.status(getStatus(result)).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in subscribe: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 무료 체험 API (사용자명과 기기별로 한 번만 사용 가능)
+router.post('/trial', allowCallers('client'), idempotent('subscription.trial'), async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { username, fingerprint, deviceName } = req.body;
+
+    if (!username) {
+      return res.status(400).json({
+        success: false,
+        message: '사용자명이 필요합니다.'
+      });
+    }
+
+    const result = await subscriptionService.startTrial(username, product.id, {
+      fingerprint,
+      name: deviceName
+    });
+
+    logger.info(`[${product.id}] Trial for ${username}: ${result.message}`);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'subscription.trial',
+        product: product.id,
+        username,
+        afterExpires: result.expires,
+        details: { days: result.days, plan: result.plan, deviceId: result.deviceId }
+      });
+    }
+
+    res.status(getStatus(result)).json({
+      success: result.success,
+      code: result.code,
+      message: result.message,
+      expires: result.expires,
+      plan: result.plan
+    });
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in trial: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 활성화 코드 사용 API (판매처에서 구매한 코드로 구독 등록 또는 갱신)
+router.post('/redeem', allowCallers('client'), idempotent('activation.redeem'), async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { username, code } = req.body;
+
+    if (!username || !code) {
+      return res.status(400).json({
+        success: false,
+        message: '사용자명과 활성화 코드가 필요합니다.'
+      });
+    }
+
+    const result = await activationCodeService.redeem(code, username, product.id);
+
+    logger.info(`[${product.id}] Activation code redeem for ${username}: ${result.message}`);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'activation.redeem',
+        product: product.id,
+        username,
+        beforeExpires: result.previousExpires,
+        afterExpires: result.expires,
+        details: { batchId: result.batchId, mode: result.mode, days: result.days, plan: result.plan }
+      });
+    }
+
+    res.status(getStatus(result)).json({
+      success: result.success,
+      code: result.code,
+      message: result.message,
+      expires: result.expires,
+      plan: result.plan
+    });
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in redeem: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 구독 갱신 API
+// 영수증으로 호출하면 일수는 영수증 내용을 사용한다 (영수증에 요금제가 있으면 구독 중인 요금제와 같아야 한다)
+router.post('/renew', [
+  allowCallers('admin', 'receipt'),
+  ...subscriptionRules,
+  handleValidation,
+  idempotent('subscription.renew')
+], async (req, res) => {
+  const { product, receipt } = req;
+
+  try {
+    const { username, promo } = req.body;
+
+    // 일수가 없으면 구독 중인 요금제 기간
+    const duration = (receipt ? receipt.days : req.body.days) || null;
+    const result = await subscriptionService.renewSubscription(username, duration, product.id, {
+      promo,
+      receipt,
+      source: getSource(req)
+    });
+    
+    logger.info(`[${product.id}] Subscription renewed for ${username}: ${result.success ? `${result.days} days` : result.message}`);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'subscription.renew',
+        product: product.id,
+        username,
+        beforeExpires: result.previousExpires,
+        afterExpires: result.expires,
+        details: { days: result.days, promo: result.promo, caller: req.caller.type, receipt: receipt && receipt.id }
+      });
+    }
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: '구독이 성공적으로 갱신되었습니다.',
+        expires: result.expires,
+        promo: result.promo
+      });
+    } else {
+      res.status(getStatus(result)).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in renew: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 구독 취소 API
+// atPeriodEnd: true이면 만료일까지 사용하고 더 이상 갱신하지 않는다
+router.post('/cancel', allowCallers('client', 'admin'), idempotent('subscription.cancel'), async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { username, reason, atPeriodEnd = false } = req.body;
+    
+    if (!username) {
+      return res.status(400).json({
+        success: false,
+        message: '사용자명이 필요합니다.'
+      });
+    }
+
+    const result = await subscriptionService.cancelSubscription(username, product.id, {
+      reason,
+      atPeriodEnd: atPeriodEnd === true || atPeriodEnd === 'true',
+      source: getSource(req)
+    });
+    
+    logger.info(`[${product.id}] Subscription cancel for ${username}: ${result.message}`);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'subscription.cancel',
+        product: product.id,
+        username,
+        beforeExpires: result.previousExpires,
+        afterExpires: result.expires,
+        details: { reason: reason || null, atPeriodEnd: result.expires !== null }
+      });
+    }
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: result.expires ? result.message : '구독이 성공적으로 취소되었습니다.',
+        expires: result.expires
+      });
+    } else {
+      res.status(getStatus(result)).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in cancel: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 구독 재활성화 API (만료 전 취소 철회)
+router.post('/reactivate', allowCallers('client', 'admin'), idempotent('subscription.reactivate'), async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { username } = req.body;
+
+    if (!username) {
+      return res.status(400).json({
+        success: false,
+        message: '사용자명이 필요합니다.'
+      });
+    }
+
+    const result = await subscriptionService.reactivateSubscription(username, product.id, {
+      source: getSource(req)
+    });
+
+    logger.info(`[${product.id}] Subscription reactivation for ${username}: ${result.message}`);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'subscription.reactivate',
+        product: product.id,
+        username,
+        afterExpires: result.expires,
+        details: { previousCancelledAt: result.previousCancelledAt }
+      });
+    }
+
+    res.status(getStatus(result)).json({
+      success: result.success,
+      code: result.code,
+      message: result.message,
+      expires: result.expires
+    });
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in reactivate: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 좌석 세션 시작 API (동시 사용 좌석 임대)
+router.post('/session/start', requireSignature, async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { username, fingerprint } = req.body;
+
+    if (!username) {
+      return res.status(400).json({
+        success: false,
+        message: '사용자명이 필요합니다.'
+      });
+    }
+
+    const result = await subscriptionService.startSession(username, product.id, { fingerprint });
+
+    logger.info(`[${product.id}] Session start for ${username}: ${result.message}`);
+    res.status(getStatus(result)).json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in session/start: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 하트비트 API (좌석 임대 연장)
+router.post('/heartbeat', [
+  requireSignature,
+  body('sessionId').optional().isString().matches(SESSION_ID_PATTERN),
+  handleValidation
+], async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { username, sessionId } = req.body;
+
+    if (!username || !sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: '사용자명과 세션 ID가 필요합니다.'
+      });
+    }
+
+    const result = await subscriptionService.heartbeat(username, String(sessionId), product.id);
+    res.status(getStatus(result)).json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in heartbeat: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 좌석 세션 종료 API
+router.post('/session/end', [
+  requireSignature,
+  body('sessionId').optional().isString().matches(SESSION_ID_PATTERN),
+  handleValidation
+], async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { username, sessionId } = req.body;
+
+    if (!username || !sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: '사용자명과 세션 ID가 필요합니다.'
+      });
+    }
+
+    const result = await subscriptionService.endSession(username, String(sessionId), product.id);
+
+    logger.info(`[${product.id}] Session end for ${username}: ${result.message}`);
+    res.status(getStatus(result)).json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in session/end: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 등록된 기기 목록 API
+router.post('/devices', requireSignature, async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { username } = req.body;
+
+    if (!username) {
+      return res.status(400).json({
+        success: false,
+        message: '사용자명이 필요합니다.'
+      });
+    }
+
+    const result = await subscriptionService.listDevices(username, product.id);
+    res.json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in devices: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 기기 등록 해제 API
+router.post('/devices/remove', requireSignature, async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { username, deviceId } = req.body;
+
+    if (!username || !deviceId) {
+      return res.status(400).json({
+        success: false,
+        message: '사용자명과 기기 ID가 필요합니다.'
+      });
+    }
+
+    const result = await subscriptionService.removeDevice(username, String(deviceId), product.id);
+
+    logger.info(`[${product.id}] Device ${deviceId} removal requested by ${username}: ${result.message}`);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'device.remove',
+        product: product.id,
+        username,
+        details: { deviceId: String(deviceId) }
+      });
+    }
+
+    res.status(getStatus(result)).json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in devices/remove: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
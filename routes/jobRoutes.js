@@ -0,0 +1,55 @@
+const express = require('express');
+
+const schedulerService = require('../services/schedulerService');
+const auditService = require('../services/auditService');
+const { requireAdmin } = require('../middleware/admin');
+const logger = require('../utils/logger');
+
+// 관리자용 예약 작업 API (작업 목록은 jobs/index.js)
+const router = express.Router();
+
+// 실행 결과별 응답 상태 (다른 곳에서 실행 중인 작업은 409로 응답해 나중에 다시 시도할 수 있게 한다)
+const STATUS_BY_CODE = {
+  NOT_FOUND: 404,
+  RUNNING: 409,
+  SKIPPED: 409
+};
+
+// 관리자 API - 예약 작업 상태와 마지막 실행 결과
+router.get('/jobs', requireAdmin('viewer'), async (req, res) => {
+  try {
+    const status = await schedulerService.getStatus();
+    res.json({ success: true, ...status });
+
+  } catch (error) {
+    logger.error(`Error in job status: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 예약 작업 즉시 실행 (실행 간격과 관계없이 실행하며, 다른 서버에서 실행 중이면 409)
+// POST /api/admin/jobs/expire-subscriptions/run
+router.post('/jobs/:name/run', requireAdmin('operator'), async (req, res) => {
+  try {
+    const result = await schedulerService.runJob(req.params.name, { force: true });
+
+    if (result.code === 'COMPLETED' || result.code === 'FAILED') {
+      await auditService.record(req, {
+        action: 'job.run',
+        details: { job: req.params.name, code: result.code }
+      });
+    }
+
+    res.status(STATUS_BY_CODE[result.code] || 200).json(result);
+
+  } catch (error) {
+    logger.error(`Error running job ${req.params.name}: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+
+const notificationService = require('../services/notificationService');
+const auditService = require('../services/auditService');
+const { SUPPORTED_LOCALES } = require('../config/emailTemplates');
+const { allowCallers } = require('../middleware/caller');
+const { handleValidation } = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+// 만료 안내 메일 설정 API (제품 공통, 사용자별)
+const router = express.Router();
+
+// 알림 설정 변경 (수신 거부, 언어)
+// 예: {"username":"user@example.com","optOut":true,"locale":"en", ...서명 필드}
+router.post('/preferences', [
+  allowCallers('client', 'admin'),
+  body('username').isEmail(),
+  body('optOut').optional().isBoolean().toBoolean(),
+  body('locale').optional().isIn(SUPPORTED_LOCALES),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { username, optOut, locale } = req.body;
+    const changes = {};
+
+    if (optOut !== undefined) {
+      changes.optOut = optOut;
+    }
+    if (locale !== undefined) {
+      changes.locale = locale;
+    }
+
+    const preferences = await notificationService.setPreferences(username, changes);
+
+    await auditService.record(req, {
+      action: 'notification.preferences',
+      username,
+      details: changes
+    });
+
+    res.json({
+      success: true,
+      message: '알림 설정이 변경되었습니다.',
+      optOut: preferences.optOut,
+      locale: preferences.locale
+    });
+
+  } catch (error) {
+    logger.error(`Error in notification preferences: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 메일의 수신 거부 링크 (브라우저에서 열기 때문에 텍스트로 응답)
+// GET /api/notifications/unsubscribe?username=...&token=...
+router.get('/unsubscribe', [
+  query('username').isEmail(),
+  query('token').isHexadecimal(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { username, token } = req.query;
+
+    if (!notificationService.verifyUnsubscribeToken(username, token)) {
+      return res.status(403).type('text/plain').send('유효하지 않은 링크입니다. / Invalid link.');
+    }
+
+    await notificationService.setPreferences(username, { optOut: true });
+
+    await auditService.record(req, {
+      action: 'notification.unsubscribe',
+      actor: `client:${username}`,
+      username
+    });
+
+    res.type('text/plain').send('안내 메일 수신이 거부되었습니다. / You have been unsubscribed.');
+
+  } catch (error) {
+    logger.error(`Error in notification unsubscribe: ${error.message}`);
+    res.status(500).type('text/plain').send('서버 오류가 발생했습니다. / Server error.');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+
+const paymentService = require('../services/paymentService');
+const auditService = require('../services/auditService');
+const { allowCallers } = require('../middleware/caller');
+const logger = require('../utils/logger');
+
+// 결제 서비스 웹훅 API
+// 서명은 호출 주체 확인(middleware/caller.js의 webhook)에서 검증한다.
+// 서명 검증에 원문이 필요하므로 server.js의 JSON 파서가 이 경로의 요청 본문을 req.rawBody에 남겨둔다.
+const router = express.Router();
+
+// 처리 결과별 응답 상태 (2xx가 아니면 결제 서비스가 이벤트를 다시 보낸다)
+const STATUS_BY_CODE = {
+  INVALID_EVENT: 400,
+  UNKNOWN_ITEM: 422,
+  CONFLICT: 409,
+  ERROR: 500
+};
+
+// 결제 웹훅 수신
+// POST /api/payments/webhooks/stripe | toss | fake
+// 서명 키가 설정되지 않은 결제 서비스는 403
+router.post('/webhooks/:provider', allowCallers('webhook'), async (req, res) => {
+  const provider = req.paymentProvider;
+
+  try {
+    const event = provider.parse(req.body || {});
+    const result = await paymentService.handleEvent(provider.id, event);
+
+    if (result.code === 'PROCESSED') {
+      for (const change of result.changes) {
+        await auditService.record(req, {
+          action: change.mode === 'refund' ? 'payment.refund' : 'payment.paid',
+          product: change.product,
+          username: result.username,
+          beforeExpires: change.previousExpires,
+          afterExpires: change.expires,
+          details: { eventId: event.id, orderId: result.orderId, mode: change.mode, plan: change.plan, days: change.days }
+        });
+      }
+    } else if (!result.success) {
+      logger.error(`[${provider.id}] Payment event ${event.id} (order ${event.orderId}) failed: ${result.code} ${result.message}`);
+    }
+
+    res.status(STATUS_BY_CODE[result.code] || 200).json({
+      success: result.success,
+      code: result.code,
+      message: result.message
+    });
+
+  } catch (error) {
+    logger.error(`[${provider.id}] Error in payment webhook: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
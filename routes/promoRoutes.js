@@ -0,0 +1,162 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+
+const promoService = require('../services/promoService');
+const auditService = require('../services/auditService');
+const { getProduct } = require('../config/products');
+const { requireAdmin } = require('../middleware/admin');
+const { handleValidation } = require('../middleware/validation');
+const logger = require('../utils/logger');
+const { parseExpiry, parseStartTime } = require('../utils/time');
+
+// 관리자용 프로모션 코드 API
+// 사용자는 구독/갱신 요청의 promo 필드로 코드를 사용한다 (routes/clientRoutes.js)
+const router = express.Router();
+
+// 혜택 값 검증 (days: 추가 일수, multiplier: 1보다 큰 배수)
+const isValidBonus = (value, { req }) => (req.body.bonusType === 'multiplier'
+  ? Number(value) > 1 && Number(value) <= 10
+  : Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= 3650);
+
+// 생성/변경 공통 규칙 (혜택 종류와 값은 생성할 때만 지정할 수 있다)
+const promoRules = [
+  body('maxRedemptions').optional().isInt({ min: 0 }).toInt(),
+  body('perUserLimit').optional().isInt({ min: 0 }).toInt(),
+  body('validFrom').optional({ nullable: true }).isISO8601(),
+  body('validUntil').optional({ nullable: true }).isISO8601(),
+  body('products').optional({ nullable: true }).isArray({ min: 1 }),
+  body('products.*').custom(value => getProduct(value) !== null),
+  body('appliesTo').optional().isArray({ min: 1 }),
+  body('appliesTo.*').isIn(['subscribe', 'renew']),
+  body('note').optional({ nullable: true }).isString().trim().isLength({ max: 200 })
+];
+
+/**
+ * 요청 본문에서 코드 설정 추출 (날짜만 지정하면 시작일은 그날 0시, 종료일은 그날 끝까지)
+ * @param {Object} data - 요청 본문
+ * @returns {Object} - 지정된 설정만 포함
+ */
+function pickSettings(data) {
+  const settings = {};
+
+  ['maxRedemptions', 'perUserLimit', 'products', 'appliesTo', 'note'].forEach(field => {
+    if (data[field] !== undefined) {
+      settings[field] = data[field];
+    }
+  });
+
+  if (data.validFrom !== undefined) {
+    settings.validFrom = data.validFrom ? parseStartTime(data.validFrom).toISOString() : null;
+  }
+  if (data.validUntil !== undefined) {
+    settings.validUntil = data.validUntil ? parseExpiry(data.validUntil).toISOString() : null;
+  }
+
+  return settings;
+}
+
+// 관리자 API - 프로모션 코드 생성
+// 예: {"code":"WELCOME7","bonusType":"days","bonusValue":7,"maxRedemptions":1000,"validUntil":"2025-12-31"}
+router.post('/promo-codes', [
+  requireAdmin('operator'),
+  body('code').isString().matches(/^[A-Za-z0-9_-]{3,32}$/),
+  body('bonusType').isIn(['days', 'multiplier']),
+  body('bonusValue').custom(isValidBonus).toFloat(),
+  ...promoRules,
+  handleValidation
+], async (req, res) => {
+  try {
+    const result = await promoService.create({
+      code: req.body.code,
+      bonusType: req.body.bonusType,
+      bonusValue: req.body.bonusValue,
+      ...pickSettings(req.body)
+    }, req.admin.username);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'promo.create',
+        details: { code: result.promo.code, bonusType: result.promo.bonusType, bonusValue: result.promo.bonusValue }
+      });
+    }
+
+    res.status(result.success ? 200 : 409).json(result);
+
+  } catch (error) {
+    logger.error(`Error in promo create: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 프로모션 코드 목록
+router.get('/promo-codes', requireAdmin('viewer'), async (req, res) => {
+  try {
+    const promos = await promoService.list();
+    res.json({ success: true, promos });
+
+  } catch (error) {
+    logger.error(`Error in promo list: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 프로모션 코드 조회
+router.get('/promo-codes/:code', requireAdmin('viewer'), async (req, res) => {
+  try {
+    const promo = await promoService.get(req.params.code);
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: "프로모션 코드를 찾을 수 없습니다."
+      });
+    }
+
+    res.json({ success: true, promo });
+
+  } catch (error) {
+    logger.error(`Error in promo get: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 프로모션 코드 변경 (active: false로 사용 중지, 사용 기록은 유지)
+router.patch('/promo-codes/:code', [
+  requireAdmin('operator'),
+  param('code').isLength({ min: 1, max: 32 }),
+  body('active').optional().isBoolean().toBoolean(),
+  ...promoRules,
+  handleValidation
+], async (req, res) => {
+  try {
+    const changes = pickSettings(req.body);
+    if (req.body.active !== undefined) {
+      changes.active = req.body.active;
+    }
+
+    const result = await promoService.update(req.params.code, changes);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'promo.update',
+        details: { code: result.promo.code, changes }
+      });
+    }
+
+    res.status(result.success ? 200 : 404).json(result);
+
+  } catch (error) {
+    logger.error(`Error in promo update: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,208 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+
+const webhookService = require('../services/webhookService');
+const auditService = require('../services/auditService');
+const { listWebhookEvents } = require('../config/webhookEvents');
+const { resolveProduct } = require('../middleware/product');
+const { requireAdmin } = require('../middleware/admin');
+const { handleValidation } = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+// 관리자용 보내는 웹훅 API (제품별 엔드포인트 등록, 전송 기록, 다시 보내기)
+// 전송 방식과 서명은 services/webhookService.js 참고
+const router = express.Router();
+
+// 처리 결과별 응답 상태
+const STATUS_BY_CODE = {
+  NOT_FOUND: 404,
+  ENDPOINT_DISABLED: 409
+};
+
+// 등록/변경 공통 규칙
+const endpointRules = [
+  body('url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }),
+  body('events').optional().isArray({ min: 1 }),
+  body('events.*').isIn(['*', ...listWebhookEvents()]),
+  body('description').optional({ nullable: true }).isString().trim().isLength({ max: 200 })
+];
+
+// 관리자 API - 웹훅 엔드포인트 등록 (서명 키는 이 응답에서만 확인할 수 있다)
+// 예: {"url":"https://crm.example.com/hooks/rainbow","events":["subscription.subscribed","subscription.expired"]}
+router.post('/:productId/webhooks', [
+  resolveProduct,
+  requireAdmin('operator'),
+  body('url').exists(),
+  body('events').exists(),
+  ...endpointRules,
+  handleValidation
+], async (req, res) => {
+  const { product } = req;
+
+  try {
+    const { url, events, description } = req.body;
+    const result = await webhookService.createEndpoint(product.id, { url, events, description }, req.admin.username);
+
+    await auditService.record(req, {
+      action: 'webhook.create',
+      product: product.id,
+      details: { endpointId: result.endpoint.id, url, events }
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in webhook create: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 웹훅 엔드포인트 목록
+router.get('/:productId/webhooks', resolveProduct, requireAdmin('viewer'), async (req, res) => {
+  try {
+    const endpoints = await webhookService.listEndpoints(req.product.id);
+    res.json({ success: true, endpoints, events: listWebhookEvents() });
+
+  } catch (error) {
+    logger.error(`[${req.product.id}] Error in webhook list: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 웹훅 엔드포인트 변경 (rotateSecret: true면 서명 키를 재발급해 응답에 포함)
+router.patch('/:productId/webhooks/:endpointId', [
+  resolveProduct,
+  requireAdmin('operator'),
+  ...endpointRules,
+  body('active').optional().isBoolean().toBoolean(),
+  body('rotateSecret').optional().isBoolean().toBoolean(),
+  handleValidation
+], async (req, res) => {
+  const { product } = req;
+
+  try {
+    const changes = {};
+    ['url', 'events', 'description', 'active', 'rotateSecret'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    });
+
+    const result = await webhookService.updateEndpoint(product.id, req.params.endpointId, changes);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'webhook.update',
+        product: product.id,
+        details: { endpointId: req.params.endpointId, changes }
+      });
+    }
+
+    res.status(STATUS_BY_CODE[result.code] || 200).json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in webhook update: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 웹훅 엔드포인트 삭제
+router.delete('/:productId/webhooks/:endpointId', resolveProduct, requireAdmin('operator'), async (req, res) => {
+  const { product } = req;
+
+  try {
+    const result = await webhookService.deleteEndpoint(product.id, req.params.endpointId);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'webhook.delete',
+        product: product.id,
+        details: { endpointId: req.params.endpointId }
+      });
+    }
+
+    res.status(STATUS_BY_CODE[result.code] || 200).json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in webhook delete: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 엔드포인트의 전송 기록 (최신순)
+// GET /api/admin/rainbowrich/webhooks/whe_.../deliveries?status=failed&limit=50
+router.get('/:productId/webhooks/:endpointId/deliveries', [
+  resolveProduct,
+  requireAdmin('viewer'),
+  query('status').optional().isIn(['pending', 'delivered', 'failed']),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('cursor').optional().isBase64({ urlSafe: true }),
+  handleValidation
+], async (req, res) => {
+  const { product } = req;
+
+  try {
+    if (!await webhookService.getEndpoint(product.id, req.params.endpointId)) {
+      return res.status(404).json({
+        success: false,
+        message: "웹훅 엔드포인트를 찾을 수 없습니다."
+      });
+    }
+
+    const { status, limit, cursor } = req.query;
+    const result = await webhookService.listDeliveries(req.params.endpointId, { status, limit, cursor });
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in webhook deliveries: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// 관리자 API - 전송 기록 다시 보내기 (같은 본문으로 새 전송 기록을 만들어 바로 보낸다)
+router.post('/:productId/webhooks/:endpointId/deliveries/:deliveryId/redeliver', [
+  resolveProduct,
+  requireAdmin('operator'),
+  param('deliveryId').isLength({ min: 1, max: 200 }),
+  handleValidation
+], async (req, res) => {
+  const { product } = req;
+
+  try {
+    const result = await webhookService.redeliver(product.id, req.params.endpointId, req.params.deliveryId);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'webhook.redeliver',
+        product: product.id,
+        details: {
+          endpointId: req.params.endpointId,
+          deliveryId: req.params.deliveryId,
+          redeliveryId: result.delivery.id,
+          status: result.delivery.status
+        }
+      });
+    }
+
+    res.status(STATUS_BY_CODE[result.code] || 200).json(result);
+
+  } catch (error) {
+    logger.error(`[${product.id}] Error in webhook redeliver: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
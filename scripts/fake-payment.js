@@ -0,0 +1,72 @@
+// 로컬 테스트용 결제 웹훅 전송 (fake 결제 서비스)
+// 서버와 같은 FAKE_PAYMENT_WEBHOOK_SECRET으로 서명해 /api/payments/webhooks/fake로 보낸다.
+//
+// 사용법: npm run payment:fake -- paid <username> <sku> [수량] [--order <주문 번호>]
+//         npm run payment:fake -- refunded <주문 번호>
+//         npm run payment:fake -- partially_refunded <주문 번호>
+// 서버 주소는 PAYMENT_WEBHOOK_URL (기본값 http://localhost:${PORT}/api/payments/webhooks/fake)
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { hmac } = require('../services/paymentProviders');
+
+const TYPES = ['paid', 'refunded', 'partially_refunded'];
+
+/**
+ * 명령행 인자로 fake 이벤트 생성
+ * @param {string[]} args - 명령행 인자
+ * @returns {Object|null} - 이벤트 (인자가 올바르지 않으면 null)
+ */
+function buildEvent(args) {
+  const orderIndex = args.indexOf('--order');
+  const orderId = orderIndex >= 0 ? args[orderIndex + 1] : null;
+  const [type, ...rest] = orderIndex >= 0 ? args.slice(0, orderIndex) : args;
+  const event = { id: `evt_${crypto.randomBytes(8).toString('hex')}`, type: `payment.${type}` };
+
+  if (type === 'paid' && rest.length >= 2) {
+    const [username, sku, quantity = '1'] = rest;
+    return {
+      ...event,
+      orderId: orderId || `order_${crypto.randomBytes(8).toString('hex')}`,
+      username,
+      items: [{ sku, quantity: parseInt(quantity) }]
+    };
+  }
+
+  if (TYPES.includes(type) && type !== 'paid' && rest.length === 1) {
+    return { ...event, orderId: rest[0] };
+  }
+
+  return null;
+}
+
+async function main() {
+  const secret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+  const url = process.env.PAYMENT_WEBHOOK_URL ||
+    `http://localhost:${process.env.PORT || 3000}/api/payments/webhooks/fake`;
+  const event = buildEvent(process.argv.slice(2));
+
+  if (!secret || !event) {
+    console.error('Usage: FAKE_PAYMENT_WEBHOOK_SECRET=... npm run payment:fake -- paid <username> <sku> [quantity] [--order <id>]');
+    console.error('       FAKE_PAYMENT_WEBHOOK_SECRET=... npm run payment:fake -- refunded|partially_refunded <orderId>');
+    process.exit(1);
+  }
+
+  const body = JSON.stringify(event);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Fake-Signature': hmac(secret, body, 'hex')
+    },
+    body
+  });
+
+  console.log(JSON.stringify(event, null, 2));
+  console.log(`${response.status} ${await response.text()}`);
+}
+
+main().catch(error => {
+  console.error(`Fake payment failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+// 날짜만 있는 만료일(YYYY-MM-DD)을 만료 시각(ISO 8601)으로 변환하는 마이그레이션
+// 기존 만료일은 그날 하루 전체(업무 시간대 기준)를 사용할 수 있도록 다음 날 0시로 변환한다 (utils/time.js parseExpiry).
+// 변경 내역(history)은 기록 당시 값을 그대로 둔다.
+//
+// 사용법: npm run migrate:expiry -- [--dry-run]
+require('dotenv').config();
+
+const { store, DOCUMENT_ID } = require('../storage');
+const { listProducts } = require('../config/products');
+const { BUSINESS_TIMEZONE, isDateOnly, normalizeExpiry } = require('../utils/time');
+const logger = require('../utils/logger');
+
+// 한 번에 읽는 문서 수
+const BATCH_SIZE = 500;
+
+/**
+ * 제품 컬렉션의 날짜만 있는 만료일 변환
+ * @param {string} collection - 구독 컬렉션
+ * @param {boolean} dryRun - true이면 변환 대상만 센다
+ * @returns {Object} - scanned, migrated
+ */
+async function migrateCollection(collection, dryRun) {
+  let scanned = 0;
+  let migrated = 0;
+  let last = null;
+
+  for (;;) {
+    const docs = await store.query(collection, {
+      orderBy: [[DOCUMENT_ID, 'asc']],
+      startAfter: last ? [last] : null,
+      limit: BATCH_SIZE,
+      select: ['expires']
+    });
+
+    for (const { id, data } of docs) {
+      scanned++;
+
+      if (!isDateOnly(data.expires)) {
+        continue;
+      }
+
+      if (dryRun) {
+        logger.info(`[dry-run] ${collection}/${id}: ${data.expires} -> ${normalizeExpiry(data.expires)}`);
+        migrated++;
+        continue;
+      }
+
+      // 조회 이후 갱신된 문서는 건너뛴다
+      const changed = await store.runTransaction(async tx => {
+        const current = await tx.get(collection, id);
+
+        if (!current || !isDateOnly(current.expires)) {
+          return false;
+        }
+
+        tx.update(collection, id, { expires: normalizeExpiry(current.expires) });
+        return true;
+      });
+
+      if (changed) {
+        migrated++;
+      }
+    }
+
+    if (docs.length < BATCH_SIZE) {
+      return { scanned, migrated };
+    }
+    last = docs[docs.length - 1].id;
+  }
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  logger.info(`Migrating date-only expiry values (timezone: ${BUSINESS_TIMEZONE}${dryRun ? ', dry run' : ''})`);
+
+  for (const product of listProducts()) {
+    const { scanned, migrated } = await migrateCollection(product.collection, dryRun);
+    logger.info(`[${product.id}] ${product.collection}: ${migrated}/${scanned} documents ${dryRun ? 'to migrate' : 'migrated'}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    logger.error(`Expiry migration failed: ${error.message}`);
+    process.exit(1);
+  });
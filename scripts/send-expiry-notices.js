@@ -0,0 +1,18 @@
+// 만료 안내 메일 전송 (서버의 예약 작업 expiry-notices와 같은 작업, 예약 작업을 끈 환경에서 cron 등으로 실행)
+// 이미 보낸 알림은 notification_log로 걸러지므로 자주 실행해도 중복되지 않는다.
+//
+// 사용법: npm run notify:expiry
+require('dotenv').config();
+
+const notificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+
+notificationService.sendAllDueNotifications()
+  .then(results => {
+    logger.info(`Expiry notices sent: ${JSON.stringify(results)}`);
+    process.exit(0);
+  })
+  .catch(error => {
+    logger.error(`Expiry notices failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -2,11 +2,24 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
 require('dotenv').config();
 
-const firebaseService = require('./services/firebaseService');
-const authService = require('./services/authService');
+const clientRoutes = require('./routes/clientRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const adminAccountRoutes = require('./routes/adminAccountRoutes');
+const activationCodeRoutes = require('./routes/activationCodeRoutes');
+const promoRoutes = require('./routes/promoRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const { DEFAULT_PRODUCT_ID, listProducts } = require('./config/products');
+const { listPlans } = require('./config/plans');
+const { resolveProduct, useProduct } = require('./middleware/product');
+const licenseService = require('./services/licenseService');
+const adminService = require('./services/adminService');
+const schedulerService = require('./services/schedulerService');
+const jobs = require('./jobs');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -19,7 +32,9 @@ app.set('trust proxy', true);
 app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  credentials: true
+  credentials: true,
+  // 결제 화면에서 재전송된 응답인지 확인할 수 있도록 노출
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Rate limiting (Render 프록시 환경 대응)
@@ -33,13 +48,21 @@ const limiter = rateLimit({
   legacyHeaders: false,
   trustProxy: true, // Render 프록시 환경에서 필요
   skip: (req) => {
-    // 헬스체크는 rate limit에서 제외
-    return req.path === '/health' || req.path === '/';
+    // 헬스체크와 결제 웹훅(서명으로 보호, 결제 서비스 IP에서 몰려옴)은 rate limit에서 제외
+    return req.path === '/health' || req.path === '/' || req.path.startsWith('/api/payments/webhooks/');
   }
 });
 
 app.use(limiter);
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // 결제 웹훅 서명은 원문 기준이므로 본문을 그대로 남겨둔다 (routes/paymentRoutes.js)
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 
 // 로깅 미들웨어
 app.use((req, res, next) => {
@@ -56,18 +79,72 @@ app.get('/', (req, res) => {
     message: 'Rainbow Rich Auth Server is running!', 
     version: '1.0.0',
     endpoints: [
+      'POST /api/products/:productId/verify',
+      'POST /api/products/:productId/subscribe',
+      'POST /api/products/:productId/trial',
+      'POST /api/products/:productId/redeem',
+      'POST /api/products/:productId/renew',
+      'POST /api/products/:productId/cancel',
+      'POST /api/products/:productId/reactivate',
+      'POST /api/products/:productId/session/start',
+      'POST /api/products/:productId/heartbeat',
+      'POST /api/products/:productId/session/end',
+      'POST /api/products/:productId/devices',
+      'POST /api/products/:productId/devices/remove',
+      'POST /api/payments/webhooks/:provider',
+      'POST /api/notifications/preferences',
+      'GET /api/notifications/unsubscribe',
+      'POST /api/admin/login',
+      'POST /api/admin/logout',
+      'GET /api/admin/me',
+      'POST /api/admin/password',
+      'GET /api/admin/accounts',
+      'POST /api/admin/accounts',
+      'PATCH /api/admin/accounts/:username',
+      'POST /api/admin/:productId/subscribe',
+      'GET /api/admin/stats',
+      'GET /api/admin/audit',
+      'GET /api/admin/:productId/subscriptions',
+      'GET /api/admin/:productId/subscriptions/:username/history',
+      'GET /api/admin/:productId/subscriptions/:username/devices',
+      'DELETE /api/admin/:productId/subscriptions/:username/devices/:deviceId',
+      'PUT /api/admin/:productId/subscriptions/:username/device-limit',
+      'POST /api/admin/:productId/activation-codes',
+      'GET /api/admin/:productId/activation-codes/batches',
+      'GET /api/admin/:productId/activation-codes/batches/:batchId/export',
+      'POST /api/admin/promo-codes',
+      'GET /api/admin/promo-codes',
+      'GET /api/admin/promo-codes/:code',
+      'PATCH /api/admin/promo-codes/:code',
+      'POST /api/admin/:productId/webhooks',
+      'GET /api/admin/:productId/webhooks',
+      'PATCH /api/admin/:productId/webhooks/:endpointId',
+      'DELETE /api/admin/:productId/webhooks/:endpointId',
+      'GET /api/admin/:productId/webhooks/:endpointId/deliveries',
+      'POST /api/admin/:productId/webhooks/:endpointId/deliveries/:deliveryId/redeliver',
+      'GET /api/admin/jobs',
+      'POST /api/admin/jobs/:name/run',
       'POST /api/verify',
       'POST /api/subscribe', 
+      'POST /api/trial',
+      'POST /api/redeem',
       'POST /api/renew',
       'POST /api/cancel',
+      'POST /api/reactivate',
       'POST /api/rainbowg/verify',
       'POST /api/rainbowg/subscribe',
+      'POST /api/rainbowg/trial',
+      'POST /api/rainbowg/redeem',
       'POST /api/rainbowg/renew',
       'POST /api/rainbowg/cancel',
+      'POST /api/rainbowg/reactivate',
       'POST /api/admin/subscribe',
       'POST /api/admin/rainbowg/subscribe',
+      'GET /api/license/public-key',
+      'GET /api/plans',
       'GET /health'
-    ]
+    ],
+    products: listProducts().map(({ id, name }) => ({ id, name }))
   });
 });
 
@@ -80,403 +157,49 @@ app.get('/health', (req, res) => {
   });
 });
 
-// ========================================
-// Rainbow Rich 프로그램 API 엔드포인트
-// ========================================
-
-// 구독 검증 API (클라이언트용)
-app.post('/api/verify', async (req, res) => {
-  try {
-    const { username } = req.body;
-    
-    if (!username) {
-      return res.status(400).json({
-        success: false,
-        message: '사용자명이 필요합니다.'
-      });
-    }
-
-    // Firebase에서 구독 확인
-    const result = await firebaseService.verifySubscription(username);
-    
-    logger.info(`Subscription verification for ${username}: ${result.message}`);
-    
-    if (result.message === "구독이 유효합니다.") {
-      res.json({
-        success: true,
-        message: '구독이 유효합니다.',
-        expires: result.expires
-      });
-    } else {
-      res.json({
-        success: false,
-        message: result.message
-      });
-    }
-
-  } catch (error) {
-    logger.error(`Error in verify: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: '서버 오류가 발생했습니다.'
-    });
-  }
-});
-
-// 구독 생성 API (클라이언트용)
-app.post('/api/subscribe', async (req, res) => {
-  try {
-    const { username, plan = 'basic', days = 30 } = req.body;
-    
-    if (!username) {
-      return res.status(400).json({
-        success: false,
-        message: '사용자명이 필요합니다.'
-      });
-    }
-
-    // 클라이언트에서 전송한 days 값 사용
-    const duration = parseInt(days) || 30;
-    const result = await firebaseService.subscribe(username, duration);
-    
-    logger.info(`Subscription created for ${username}: ${duration} days`);
-    
-    if (result.message === "구독이 업데이트되었습니다.") {
-      res.json({
-        success: true,
-        message: '구독이 성공적으로 생성되었습니다.',
-        expires: result.expires
-      });
-    } else {
-      res.json({
-        success: false,
-        message: result.message
-      });
-    }
-
-  } catch (error) {
-    logger.error(`Error in subscribe: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: '서버 오류가 발생했습니다.'
-    });
-  }
-});
-
-// 구독 갱신 API (클라이언트용)
-app.post('/api/renew', async (req, res) => {
-  try {
-    const { username, days = 30 } = req.body;
-    
-    if (!username) {
-      return res.status(400).json({
-        success: false,
-        message: '사용자명이 필요합니다.'
-      });
-    }
-
-    // 클라이언트에서 전송한 days 값 사용
-    const duration = parseInt(days) || 30;
-    const result = await firebaseService.renewSubscription(username, duration);
-    
-    logger.info(`Subscription renewed for ${username}: ${duration} days`);
-    
-    if (result.message === "구독이 갱신되었습니다.") {
-      res.json({
-        success: true,
-        message: '구독이 성공적으로 갱신되었습니다.',
-        expires: result.expires
-      });
-    } else {
-      res.json({
-        success: false,
-        message: result.message
-      });
-    }
-
-  } catch (error) {
-    logger.error(`Error in renew: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: '서버 오류가 발생했습니다.'
-    });
-  }
+// 라이선스 토큰 검증용 공개 키
+app.get('/api/license/public-key', (req, res) => {
+  res.json({
+    keys: [licenseService.getPublicKeyInfo()]
+  });
 });
 
-// 구독 취소 API (클라이언트용)
-app.post('/api/cancel', async (req, res) => {
-  try {
-    const { username } = req.body;
-    
-    if (!username) {
-      return res.status(400).json({
-        success: false,
-        message: '사용자명이 필요합니다.'
-      });
-    }
-
-    const result = await firebaseService.cancelSubscription(username);
-    
-    logger.info(`Subscription cancelled for ${username}`);
-    
-    if (result.message === "구독이 취소되었습니다.") {
-      res.json({
-        success: true,
-        message: '구독이 성공적으로 취소되었습니다.'
-      });
-    } else {
-      res.json({
-        success: false,
-        message: result.message
-      });
-    }
-
-  } catch (error) {
-    logger.error(`Error in cancel: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: '서버 오류가 발생했습니다.'
-    });
-  }
+// 요금제 카탈로그 (기간, 한도, 사용 가능한 기능)
+app.get('/api/plans', (req, res) => {
+  res.json({
+    plans: listPlans().map(({ id, name, duration, maxDevices, maxSeats, entitlements }) => ({
+      id, name, duration, maxDevices, maxSeats, entitlements
+    }))
+  });
 });
 
 // ========================================
-// RainbowG 프로그램 전용 API 엔드포인트
+// 클라이언트 API 엔드포인트
 // ========================================
 
-// RainbowG 구독 검증 API
-app.post('/api/rainbowg/verify', async (req, res) => {
-  try {
-    const { username } = req.body;
-    
-    if (!username) {
-      return res.status(400).json({
-        success: false,
-        message: '사용자명이 필요합니다.'
-      });
-    }
-
-    // Firebase에서 RainbowG 구독 확인 (별도 컬렉션 사용)
-    const result = await firebaseService.verifySubscriptionRainbowG(username);
-    
-    logger.info(`RainbowG subscription verification for ${username}: ${result.message}`);
-    
-    if (result.message === "구독이 유효합니다.") {
-      res.json({
-        success: true,
-        message: '구독이 유효합니다.',
-        expires: result.expires
-      });
-    } else {
-      res.json({
-        success: false,
-        message: result.message
-      });
-    }
-
-  } catch (error) {
-    logger.error(`Error in RainbowG verify: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: '서버 오류가 발생했습니다.'
-    });
-  }
-});
-
-// RainbowG 구독 생성 API
-app.post('/api/rainbowg/subscribe', async (req, res) => {
-  try {
-    const { username, days = 30 } = req.body;
-    
-    if (!username) {
-      return res.status(400).json({
-        success: false,
-        message: '사용자명이 필요합니다.'
-      });
-    }
-
-    // 클라이언트에서 전송한 days 값 사용
-    const duration = parseInt(days) || 30;
-    const result = await firebaseService.subscribeRainbowG(username, duration);
-    
-    logger.info(`RainbowG subscription created for ${username}: ${duration} days`);
-    
-    if (result.message === "구독이 업데이트되었습니다.") {
-      res.json({
-        success: true,
-        message: '구독이 성공적으로 생성되었습니다.',
-        expires: result.expires
-      });
-    } else {
-      res.json({
-        success: false,
-        message: result.message
-      });
-    }
-
-  } catch (error) {
-    logger.error(`Error in RainbowG subscribe: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: '서버 오류가 발생했습니다.'
-    });
-  }
-});
-
-// RainbowG 구독 갱신 API
-app.post('/api/rainbowg/renew', async (req, res) => {
-  try {
-    const { username, days = 30 } = req.body;
-    
-    if (!username) {
-      return res.status(400).json({
-        success: false,
-        message: '사용자명이 필요합니다.'
-      });
-    }
-
-    // 클라이언트에서 전송한 days 값 사용
-    const duration = parseInt(days) || 30;
-    const result = await firebaseService.renewSubscriptionRainbowG(username, duration);
-    
-    logger.info(`RainbowG subscription renewed for ${username}: ${duration} days`);
-    
-    if (result.message === "구독이 갱신되었습니다.") {
-      res.json({
-        success: true,
-        message: '구독이 성공적으로 갱신되었습니다.',
-        expires: result.expires
-      });
-    } else {
-      res.json({
-        success: false,
-        message: result.message
-      });
-    }
+// 결제 웹훅: /api/payments/webhooks/:provider
+app.use('/api/payments', paymentRoutes);
 
-  } catch (error) {
-    logger.error(`Error in RainbowG renew: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: '서버 오류가 발생했습니다.'
-    });
-  }
-});
+// 만료 안내 메일 설정: /api/notifications/preferences|unsubscribe
+app.use('/api/notifications', notificationRoutes);
 
-// RainbowG 구독 취소 API
-app.post('/api/rainbowg/cancel', async (req, res) => {
-  try {
-    const { username } = req.body;
-    
-    if (!username) {
-      return res.status(400).json({
-        success: false,
-        message: '사용자명이 필요합니다.'
-      });
-    }
-
-    const result = await firebaseService.cancelSubscriptionRainbowG(username);
-    
-    logger.info(`RainbowG subscription cancelled for ${username}`);
-    
-    if (result.message === "구독이 취소되었습니다.") {
-      res.json({
-        success: true,
-        message: '구독이 성공적으로 취소되었습니다.'
-      });
-    } else {
-      res.json({
-        success: false,
-        message: result.message
-      });
-    }
+// 제품별 경로: /api/products/:productId/verify|subscribe|renew|cancel
+app.use('/api/products/:productId', resolveProduct, clientRoutes);
 
-  } catch (error) {
-    logger.error(`Error in RainbowG cancel: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: '서버 오류가 발생했습니다.'
-    });
-  }
-});
+// 기존 경로 호환: /api/rainbowg/* = RainbowG, /api/* = Rainbow Rich
+app.use('/api/rainbowg', useProduct('rainbowg'), clientRoutes);
+app.use('/api', useProduct(DEFAULT_PRODUCT_ID), clientRoutes);
 
 // ========================================
 // 관리자 API 엔드포인트
 // ========================================
 
-// 관리자 API - Rainbow Rich 구독 등록
-app.post('/api/admin/subscribe', [
-  body('username').isEmail().normalizeEmail(),
-  body('duration').isInt({ min: 1, max: 3650 }),
-  body('adminPassword').isLength({ min: 1 })
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        error: 'Invalid input',
-        details: errors.array()
-      });
-    }
-
-    const { username, duration, adminPassword } = req.body;
-
-    // 관리자 권한 확인
-    if (!authService.verifyAdminPassword(adminPassword)) {
-      logger.warn(`Invalid admin password attempt`);
-      return res.status(401).json({
-        error: 'Invalid admin credentials'
-      });
-    }
-
-    const result = await firebaseService.subscribe(username, duration);
-    logger.info(`Admin subscription created for ${username}: ${duration} days`);
-    res.json(result);
-
-  } catch (error) {
-    logger.error(`Error in admin subscribe: ${error.message}`);
-    res.status(500).json({
-      error: 'Internal server error'
-    });
-  }
-});
-
-// 관리자 API - RainbowG 구독 등록
-app.post('/api/admin/rainbowg/subscribe', [
-  body('username').isEmail().normalizeEmail(),
-  body('duration').isInt({ min: 1, max: 3650 }),
-  body('adminPassword').isLength({ min: 1 })
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        error: 'Invalid input',
-        details: errors.array()
-      });
-    }
-
-    const { username, duration, adminPassword } = req.body;
-
-    // 관리자 권한 확인
-    if (!authService.verifyAdminPassword(adminPassword)) {
-      logger.warn(`Invalid admin password attempt for RainbowG`);
-      return res.status(401).json({
-        error: 'Invalid admin credentials'
-      });
-    }
-
-    const result = await firebaseService.subscribeRainbowG(username, duration);
-    logger.info(`Admin RainbowG subscription created for ${username}: ${duration} days`);
-    res.json(result);
-
-  } catch (error) {
-    logger.error(`Error in admin RainbowG subscribe: ${error.message}`);
-    res.status(500).json({
-      error: 'Internal server error'
-    });
-  }
-});
+app.use('/api/admin', adminAccountRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/admin', activationCodeRoutes);
+app.use('/api/admin', promoRoutes);
+app.use('/api/admin', jobRoutes);
+app.use('/api/admin', webhookRoutes);
 
 // 404 핸들러
 app.use('*', (req, res) => {
@@ -493,20 +216,33 @@ app.use((error, req, res, next) => {
   });
 });
 
+// 예약 작업 (SCHEDULER_ENABLED=false면 이 인스턴스에서는 실행하지 않는다, 상태 조회와 즉시 실행은 가능)
+jobs.forEach(job => schedulerService.register(job));
+
 // 서버 시작
 app.listen(PORT, () => {
   logger.info(`🚀 Auth server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV}`);
+
+  adminService.ensureBootstrapAdmin().catch(error => {
+    logger.error(`Admin bootstrap failed: ${error.message}`);
+  });
+
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    schedulerService.start();
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  schedulerService.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  schedulerService.stop();
   process.exit(0);
 });
 
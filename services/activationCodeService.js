@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { store, TransactionConflictError } = require('../storage');
+const subscriptionService = require('./subscriptionService');
+const { getProduct } = require('../config/products');
+const { DEFAULT_PLAN_ID, getPlan } = require('../config/plans');
+const logger = require('../utils/logger');
+
+const CODES_COLLECTION = 'activation_codes';
+const BATCHES_COLLECTION = 'activation_batches';
+
+// 코드 문자 (혼동하기 쉬운 0/O, 1/I 제외), XXXX-XXXX-XXXX-XXXX 형식
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 4;
+const CODE_GROUP_LENGTH = 4;
+
+/**
+ * 활성화 코드 서비스
+ * 관리자가 만든 일회용 코드(activation_codes/{코드})를 사용자가 입력하면 구독을 등록하거나 갱신한다.
+ * 코드는 생성 묶음(activation_batches) 단위로 관리하고 내보낸다.
+ */
+class ActivationCodeService {
+  constructor() {
+    this.store = store;
+  }
+
+  /**
+   * 새 코드 생성
+   * @returns {string} - XXXX-XXXX-XXXX-XXXX
+   */
+  generateCode() {
+    const groups = [];
+    for (let i = 0; i < CODE_GROUPS; i++) {
+      let group = '';
+      for (let j = 0; j < CODE_GROUP_LENGTH; j++) {
+        group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+      }
+      groups.push(group);
+    }
+    return groups.join('-');
+  }
+
+  /**
+   * 입력한 코드를 저장 형식으로 변환 (대소문자, 공백, 구분자 무시)
+   * @param {string} input - 사용자가 입력한 코드
+   * @returns {string|null} - 코드 (형식이 맞지 않으면 null)
+   */
+  normalizeCode(input) {
+    const compact = String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const length = CODE_GROUPS * CODE_GROUP_LENGTH;
+
+    if (compact.length !== length || [...compact].some(char => !CODE_ALPHABET.includes(char))) {
+      return null;
+    }
+
+    return compact.match(new RegExp(`.{${CODE_GROUP_LENGTH}}`, 'g')).join('-');
+  }
+
+  /**
+   * 코드 묶음 생성
+   * @param {string} productId - 제품 ID
+   * @param {Object} options - 생성 옵션
+   * @param {number} options.count - 생성할 코드 수
+   * @param {number} [options.days] - 구독 일수 (없으면 요금제 기간)
+   * @param {string} [options.plan] - 요금제 ID
+   * @param {string} [options.expiresAt] - 코드 사용 기한 (ISO 8601, 없으면 무기한)
+   * @param {string} [options.note] - 메모 (판매처 등)
+   * @param {string} [options.createdBy] - 생성한 관리자
+   * @returns {Object} - batchId, codes
+   */
+  async createBatch(productId, { count, days = null, plan = DEFAULT_PLAN_ID, expiresAt = null, note = null, createdBy = null }) {
+    const now = new Date().toISOString();
+    const batch = {
+      product: productId,
+      plan,
+      days,
+      expiresAt,
+      count,
+      note,
+      createdAt: now,
+      createdBy
+    };
+
+    const batchId = await this.store.add(BATCHES_COLLECTION, batch);
+    const codes = new Set();
+    while (codes.size < count) {
+      codes.add(this.generateCode());
+    }
+
+    await Promise.all([...codes].map(code => this.store.set(CODES_COLLECTION, code, {
+      batchId,
+      product: productId,
+      plan,
+      days,
+      expiresAt,
+      status: 'unused',
+      createdAt: now
+    })));
+
+    logger.info(`[${productId}] Created activation code batch ${batchId} (${count} codes)`);
+    return { batchId, ...batch, codes: [...codes] };
+  }
+
+  /**
+   * 제품의 코드 묶음 목록 (최신순, 사용된 코드 수 포함)
+   * Firestore 복합 색인이 필요하다 (activation_batches: product + createdAt 내림차순,
+   * activation_codes: batchId + status).
+   * @param {string} productId - 제품 ID
+   * @param {number} [limit] - 최대 개수
+   * @returns {Object[]} - 묶음 목록
+   */
+  async listBatches(productId, limit = 50) {
+    const batches = await this.store.query(BATCHES_COLLECTION, {
+      where: [['product', '==', productId]],
+      orderBy: [['createdAt', 'desc']],
+      limit
+    });
+
+    return Promise.all(batches.map(async ({ id, data }) => ({
+      id,
+      ...data,
+      redeemed: await this.store.count(CODES_COLLECTION, {
+        where: [['batchId', '==', id], ['status', '==', 'redeemed']]
+      })
+    })));
+  }
+
+  /**
+   * 코드 묶음과 코드 목록 (내보내기용)
+   * @param {string} productId - 제품 ID
+   * @param {string} batchId - 묶음 ID
+   * @returns {Object|null} - batch, codes (다른 제품의 묶음이거나 없으면 null)
+   */
+  async getBatch(productId, batchId) {
+    const batch = await this.store.get(BATCHES_COLLECTION, batchId);
+
+    if (!batch || batch.product !== productId) {
+      return null;
+    }
+
+    const codes = await this.store.query(CODES_COLLECTION, {
+      where: [['batchId', '==', batchId]]
+    });
+
+    return {
+      batch: { id: batchId, ...batch },
+      codes: codes
+        .map(({ id, data }) => ({
+          code: id,
+          status: data.status,
+          redeemedBy: data.redeemedBy || null,
+          redeemedAt: data.redeemedAt || null
+        }))
+        .sort((a, b) => (a.code < b.code ? -1 : 1))
+    };
+  }
+
+  /**
+   * 코드 사용
+   * 같은 요금제를 구독 중이면 갱신하고, 아니면 구독을 등록한다 (취소된 구독은 취소 상태가 지워진다).
+   * 코드 소진과 구독 변경은 한 트랜잭션으로 처리하므로 같은 코드가 두 번 적용되지 않는다.
+   * @param {string} input - 사용자가 입력한 코드
+   * @param {string} username - 사용자명
+   * @param {string} productId - 제품 ID
+   * @returns {Object} - 결과 (code: REDEEMED, INVALID_CODE, CODE_USED, CODE_EXPIRED, CONFLICT, ERROR /
+   *                     mode: subscribe | renew, expires, previousExpires, plan, days, batchId)
+   */
+  async redeem(input, username, productId) {
+    const code = this.normalizeCode(input);
+
+    if (!code) {
+      return { success: false, code: 'INVALID_CODE', message: "유효하지 않은 활성화 코드입니다." };
+    }
+
+    try {
+      const product = getProduct(productId);
+      const collection = subscriptionService.getCollectionName(productId);
+
+      const result = await this.store.runTransaction(async tx => {
+        const record = await tx.get(CODES_COLLECTION, code);
+        const current = await tx.get(collection, username);
+        const plan = record ? getPlan(record.plan) : null;
+
+        if (!record || record.product !== productId || !plan) {
+          return { success: false, code: 'INVALID_CODE', message: "유효하지 않은 활성화 코드입니다." };
+        }
+
+        if (record.status === 'redeemed') {
+          return { success: false, code: 'CODE_USED', message: "이미 사용된 활성화 코드입니다." };
+        }
+
+        if (record.expiresAt && new Date() > new Date(record.expiresAt)) {
+          return { success: false, code: 'CODE_EXPIRED', message: "사용 기한이 지난 활성화 코드입니다." };
+        }
+
+        const days = record.days || plan.duration || product.defaultDuration;
+        const source = { channel: 'activation_code', actor: code };
+        const applied = subscriptionService.applyGrant(tx, productId, username, current, { days, plan, source });
+
+        tx.update(CODES_COLLECTION, code, {
+          status: 'redeemed',
+          redeemedBy: username,
+          redeemedAt: new Date().toISOString()
+        });
+
+        return {
+          success: true,
+          code: 'REDEEMED',
+          message: "활성화 코드가 적용되었습니다.",
+          mode: applied.mode,
+          expires: applied.expires,
+          previousExpires: applied.previousExpires,
+          plan: plan.id,
+          days,
+          batchId: record.batchId
+        };
+      });
+
+      if (result.success) {
+        await subscriptionService.recordDailyStat(productId, result.mode === 'renew' ? 'renewals' : 'subscriptions');
+      }
+
+      return result;
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        logger.warn(`Conflict redeeming ${productId} activation code for ${username}`);
+        return {
+          success: false,
+          code: 'CONFLICT',
+          message: "다른 요청과 동시에 처리되어 실패했습니다. 잠시 후 다시 시도해주세요."
+        };
+      }
+      logger.error(`Error redeeming ${productId} activation code for ${username}: ${error.message}`);
+      return { success: false, code: 'ERROR', message: "활성화 코드 처리 중 오류가 발생했습니다." };
+    }
+  }
+}
+
+module.exports = new ActivationCodeService();
@@ -0,0 +1,306 @@
+const { store } = require('../storage');
+const authService = require('./authService');
+const logger = require('../utils/logger');
+
+// 관리자 역할 (뒤로 갈수록 권한이 넓다)
+const ROLES = ['viewer', 'operator', 'superadmin'];
+
+const ADMINS_COLLECTION = 'admins';
+const SESSIONS_COLLECTION = 'admin_sessions';
+
+// 세션 유효 시간 (분)
+const SESSION_TTL_MINUTES = parseInt(process.env.ADMIN_SESSION_TTL_MINUTES) || 60;
+
+// 로그인 실패 잠금 (연속 실패 횟수 / 잠금 시간)
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+const MIN_PASSWORD_LENGTH = 10;
+
+/**
+ * 관리자 계정 및 세션 관리 서비스
+ * 계정은 admins/{username}, 세션은 admin_sessions/{SHA256(token)} 문서로 저장한다.
+ */
+class AdminService {
+  constructor() {
+    this.store = store;
+    this.roles = ROLES;
+    // 존재하지 않는 계정으로 로그인할 때도 같은 시간이 걸리도록 비교용 해시를 준비한다
+    this.dummyHash = null;
+  }
+
+  /**
+   * 역할 권한 비교
+   * @param {string} role - 보유 역할
+   * @param {string} requiredRole - 필요한 역할
+   * @returns {boolean} - 권한 충족 여부
+   */
+  hasRole(role, requiredRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole) && ROLES.includes(role);
+  }
+
+  validatePassword(password) {
+    return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+  }
+
+  /**
+   * 관리자 계정이 하나도 없으면 환경 변수로 최초 superadmin 계정을 만든다
+   * (ADMIN_BOOTSTRAP_USERNAME / ADMIN_BOOTSTRAP_PASSWORD)
+   */
+  async ensureBootstrapAdmin() {
+    const username = process.env.ADMIN_BOOTSTRAP_USERNAME;
+    const password = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+
+    const existing = await this.store.query(ADMINS_COLLECTION, { limit: 1, select: ['username'] });
+    if (existing.length > 0) {
+      return;
+    }
+
+    if (!username || !password) {
+      logger.warn('No admin accounts exist. Set ADMIN_BOOTSTRAP_USERNAME and ADMIN_BOOTSTRAP_PASSWORD to create one.');
+      return;
+    }
+
+    const result = await this.createAdmin(username, password, 'superadmin', 'bootstrap');
+    logger.info(`Bootstrap admin: ${result.message}`);
+  }
+
+  async createAdmin(username, password, role, createdBy) {
+    try {
+      if (!ROLES.includes(role)) {
+        return { success: false, message: "알 수 없는 역할입니다." };
+      }
+
+      if (!this.validatePassword(password)) {
+        return { success: false, message: `비밀번호는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다.` };
+      }
+
+      if (await this.store.get(ADMINS_COLLECTION, username)) {
+        return { success: false, message: "이미 존재하는 관리자입니다." };
+      }
+
+      await this.store.set(ADMINS_COLLECTION, username, {
+        username,
+        role,
+        passwordHash: await authService.hashPassword(password),
+        disabled: false,
+        failedLogins: 0,
+        lockedUntil: null,
+        createdAt: new Date().toISOString(),
+        createdBy
+      });
+
+      logger.info(`Admin account ${username} (${role}) created by ${createdBy}`);
+      return { success: true, message: "관리자 계정이 생성되었습니다.", admin: { username, role } };
+    } catch (error) {
+      logger.error(`Error creating admin ${username}: ${error.message}`);
+      return { success: false, message: "관리자 계정 생성 중 오류가 발생했습니다." };
+    }
+  }
+
+  async listAdmins() {
+    const docs = await this.store.query(ADMINS_COLLECTION);
+
+    return docs.map(({ data }) => {
+      const { username, role, disabled, createdAt, createdBy, lastLoginAt } = data;
+      return { username, role, disabled, createdAt, createdBy, lastLoginAt: lastLoginAt || null };
+    });
+  }
+
+  /**
+   * 관리자 역할 변경 / 비활성화
+   * 비활성화하거나 역할을 바꾸면 기존 세션을 모두 종료한다.
+   * @param {string} username - 관리자 계정
+   * @param {Object} changes - { role, disabled }
+   */
+  async updateAdmin(username, changes) {
+    try {
+      if (!(await this.store.get(ADMINS_COLLECTION, username))) {
+        return { success: false, message: "관리자 계정이 없습니다." };
+      }
+
+      const updates = {};
+      if (changes.role !== undefined) {
+        if (!ROLES.includes(changes.role)) {
+          return { success: false, message: "알 수 없는 역할입니다." };
+        }
+        updates.role = changes.role;
+      }
+      if (changes.disabled !== undefined) {
+        updates.disabled = changes.disabled === true;
+      }
+
+      await this.store.update(ADMINS_COLLECTION, username, updates);
+      await this.revokeSessions(username);
+
+      return { success: true, message: "관리자 계정이 변경되었습니다." };
+    } catch (error) {
+      logger.error(`Error updating admin ${username}: ${error.message}`);
+      return { success: false, message: "관리자 계정 변경 중 오류가 발생했습니다." };
+    }
+  }
+
+  /**
+   * 로그인
+   * @param {string} username - 관리자 계정
+   * @param {string} password - 비밀번호
+   * @param {string} ip - 요청 IP
+   * @returns {Object} - 성공 시 token, expiresAt, admin
+   */
+  async login(username, password, ip) {
+    try {
+      const account = await this.store.get(ADMINS_COLLECTION, username);
+
+      if (!account) {
+        if (!this.dummyHash) {
+          this.dummyHash = await authService.hashPassword('dummy-password-for-timing');
+        }
+        await authService.verifyPassword(password, this.dummyHash);
+        return { success: false, message: "아이디 또는 비밀번호가 올바르지 않습니다." };
+      }
+
+      const now = new Date();
+
+      if (account.lockedUntil && new Date(account.lockedUntil) > now) {
+        return { success: false, message: "로그인 시도가 너무 많습니다. 잠시 후 다시 시도해주세요." };
+      }
+
+      const passwordValid = await authService.verifyPassword(password, account.passwordHash);
+
+      if (!passwordValid || account.disabled) {
+        const failedLogins = (account.failedLogins || 0) + 1;
+        const locked = failedLogins >= MAX_FAILED_LOGINS;
+
+        await this.store.update(ADMINS_COLLECTION, username, {
+          failedLogins: locked ? 0 : failedLogins,
+          lockedUntil: locked ? new Date(now.getTime() + LOCKOUT_MINUTES * 60000).toISOString() : null
+        });
+
+        logger.warn(`Failed admin login for ${username} from ${ip}${locked ? ' (locked)' : ''}`);
+        return { success: false, message: "아이디 또는 비밀번호가 올바르지 않습니다." };
+      }
+
+      const token = authService.generateSessionToken();
+      const expiresAt = new Date(now.getTime() + SESSION_TTL_MINUTES * 60000).toISOString();
+
+      await this.store.set(SESSIONS_COLLECTION, authService.hashToken(token), {
+        username,
+        ip,
+        createdAt: now.toISOString(),
+        expiresAt
+      });
+      await this.store.update(ADMINS_COLLECTION, username, {
+        failedLogins: 0,
+        lockedUntil: null,
+        lastLoginAt: now.toISOString()
+      });
+
+      logger.info(`Admin ${username} logged in from ${ip}`);
+      return {
+        success: true,
+        message: "로그인되었습니다.",
+        token,
+        expiresAt,
+        admin: { username, role: account.role }
+      };
+    } catch (error) {
+      logger.error(`Error in admin login for ${username}: ${error.message}`);
+      return { success: false, message: "로그인 처리 중 오류가 발생했습니다." };
+    }
+  }
+
+  /**
+   * 세션 토큰으로 관리자 확인
+   * 역할과 비활성화 여부는 매 요청마다 계정 문서에서 읽는다.
+   * @param {string} token - 세션 토큰
+   * @returns {Object|null} - { username, role } 또는 null
+   */
+  async authenticate(token) {
+    const sessionId = authService.hashToken(token);
+    const session = await this.store.get(SESSIONS_COLLECTION, sessionId);
+
+    if (!session) {
+      return null;
+    }
+
+    const { username, expiresAt } = session;
+    if (new Date(expiresAt) <= new Date()) {
+      await this.store.delete(SESSIONS_COLLECTION, sessionId);
+      return null;
+    }
+
+    const account = await this.store.get(ADMINS_COLLECTION, username);
+    if (!account || account.disabled) {
+      return null;
+    }
+
+    return { username, role: account.role, expiresAt };
+  }
+
+  async logout(token) {
+    await this.store.delete(SESSIONS_COLLECTION, authService.hashToken(token));
+  }
+
+  /**
+   * 관리자의 모든 세션 종료
+   * @param {string} username - 관리자 계정
+   * @param {string} [exceptToken] - 유지할 세션 토큰
+   */
+  async revokeSessions(username, exceptToken) {
+    const sessions = await this.store.query(SESSIONS_COLLECTION, { where: [['username', '==', username]] });
+    const keep = exceptToken ? authService.hashToken(exceptToken) : null;
+
+    await Promise.all(sessions
+      .filter(({ id }) => id !== keep)
+      .map(({ id }) => this.store.delete(SESSIONS_COLLECTION, id)));
+  }
+
+  /**
+   * 비밀번호 변경 (현재 세션을 제외한 다른 세션은 종료)
+   * @param {string} username - 관리자 계정
+   * @param {string} currentPassword - 현재 비밀번호
+   * @param {string} newPassword - 새 비밀번호
+   * @param {string} currentToken - 현재 세션 토큰
+   */
+  async changePassword(username, currentPassword, newPassword, currentToken) {
+    try {
+      const account = await this.store.get(ADMINS_COLLECTION, username);
+
+      if (!account || !(await authService.verifyPassword(currentPassword, account.passwordHash))) {
+        return { success: false, message: "현재 비밀번호가 올바르지 않습니다." };
+      }
+
+      if (!this.validatePassword(newPassword)) {
+        return { success: false, message: `비밀번호는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다.` };
+      }
+
+      await this.store.update(ADMINS_COLLECTION, username, {
+        passwordHash: await authService.hashPassword(newPassword),
+        passwordChangedAt: new Date().toISOString()
+      });
+      await this.revokeSessions(username, currentToken);
+
+      logger.info(`Admin ${username} changed password`);
+      return { success: true, message: "비밀번호가 변경되었습니다." };
+    } catch (error) {
+      logger.error(`Error changing password for ${username}: ${error.message}`);
+      return { success: false, message: "비밀번호 변경 중 오류가 발생했습니다." };
+    }
+  }
+
+  /**
+   * 만료된 관리자 세션 정리
+   * @returns {number} - 삭제된 세션 수
+   */
+  async purgeExpiredSessions() {
+    const expired = await this.store.query(SESSIONS_COLLECTION, {
+      where: [['expiresAt', '<=', new Date().toISOString()]],
+      select: ['expiresAt']
+    });
+
+    await Promise.all(expired.map(({ id }) => this.store.delete(SESSIONS_COLLECTION, id)));
+    return expired.length;
+  }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,111 @@
+const { store, DOCUMENT_ID } = require('../storage');
+const logger = require('../utils/logger');
+
+const AUDIT_COLLECTION = 'audit_log';
+
+/**
+ * 감사 로그 서비스 (추가 전용)
+ * 구독 변경과 관리자 작업을 audit_log 컬렉션에 기록한다. 수정/삭제 API는 제공하지 않는다.
+ */
+class AuditService {
+  constructor() {
+    this.store = store;
+  }
+
+  /**
+   * 요청 주체 식별자 (admin:<계정>, payment:<결제 서비스> 또는 client:<사용자명>)
+   * @param {Object} req - Express 요청
+   * @returns {string} - 주체 식별자
+   */
+  getActor(req) {
+    if (req.admin) {
+      return `admin:${req.admin.username}`;
+    }
+
+    if (req.caller && req.caller.type === 'webhook') {
+      return `payment:${req.caller.id}`;
+    }
+
+    return `client:${(req.body && req.body.username) || 'anonymous'}`;
+  }
+
+  /**
+   * 감사 로그 기록
+   * 기록 실패가 요청 처리를 실패시키지 않도록 오류는 로그만 남긴다.
+   * @param {Object} req - Express 요청 (주체와 IP 추출)
+   * @param {Object} entry - 기록 내용
+   * @param {string} entry.action - 작업 (예: subscription.renew)
+   * @param {string} [entry.actor] - 주체 식별자 (생략하면 요청에서 추출)
+   * @param {string} [entry.product] - 제품 ID
+   * @param {string} [entry.username] - 대상 사용자명
+   * @param {string} [entry.beforeExpires] - 변경 전 만료일
+   * @param {string} [entry.afterExpires] - 변경 후 만료일
+   * @param {Object} [entry.details] - 추가 정보
+   */
+  async record(req, { action, actor = null, product = null, username = null, beforeExpires = null, afterExpires = null, details = null }) {
+    try {
+      await this.store.add(AUDIT_COLLECTION, {
+        at: new Date().toISOString(),
+        actor: actor || this.getActor(req),
+        ip: req.ip || null,
+        action,
+        product,
+        username,
+        beforeExpires,
+        afterExpires,
+        // Firestore는 undefined 값을 저장하지 않으므로 제거
+        details: details ? JSON.parse(JSON.stringify(details)) : null
+      });
+    } catch (error) {
+      logger.error(`Error writing audit log (${action} ${username}): ${error.message}`);
+    }
+  }
+
+  /**
+   * 감사 로그 조회 (최신순, 커서 페이지네이션)
+   * 필터 조합마다 Firestore 복합 색인(필터 필드 + at 내림차순)이 필요하다.
+   * @param {Object} [filters] - username, actor, action, product, from, to, limit, cursor
+   * @returns {Object} - entries, nextCursor
+   */
+  async query({ username, actor, action, product, from, to, limit = 50, cursor } = {}) {
+    const where = [];
+
+    if (username) {
+      where.push(['username', '==', username]);
+    }
+    if (actor) {
+      where.push(['actor', '==', actor]);
+    }
+    if (action) {
+      where.push(['action', '==', action]);
+    }
+    if (product) {
+      where.push(['product', '==', product]);
+    }
+    if (from) {
+      where.push(['at', '>=', from]);
+    }
+    if (to) {
+      where.push(['at', '<=', to]);
+    }
+
+    const docs = await this.store.query(AUDIT_COLLECTION, {
+      where,
+      orderBy: [['at', 'desc'], [DOCUMENT_ID, 'desc']],
+      startAfter: cursor ? JSON.parse(Buffer.from(cursor, 'base64url').toString()) : null,
+      limit: limit + 1
+    });
+
+    const page = docs.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      entries: page.map(({ id, data }) => ({ id, ...data })),
+      nextCursor: docs.length > limit && last
+        ? Buffer.from(JSON.stringify([last.data.at, last.id])).toString('base64url')
+        : null
+    };
+  }
+}
+
+module.exports = new AuditService();
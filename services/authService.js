@@ -1,18 +1,24 @@
 const crypto = require('crypto');
+const { promisify } = require('util');
 const logger = require('../utils/logger');
 
+const scrypt = promisify(crypto.scrypt);
+
+// 비밀번호 해시 파라미터 (scrypt)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+// 서명된 요청의 타임스탬프 허용 범위 (5분)
+const REQUEST_MAX_AGE_MS = 5 * 60 * 1000;
+
 class AuthService {
   constructor() {
     this.apiSecret = process.env.API_SECRET_KEY;
-    this.adminPasswordHash = process.env.ADMIN_PASSWORD_HASH;
+    this.requestMaxAgeMs = REQUEST_MAX_AGE_MS;
     
     if (!this.apiSecret) {
       throw new Error('API_SECRET_KEY environment variable is required');
     }
-    
-    if (!this.adminPasswordHash) {
-      throw new Error('ADMIN_PASSWORD_HASH environment variable is required');
-    }
   }
 
   /**
@@ -57,32 +63,74 @@ class AuthService {
   }
 
   /**
-   * 관리자 비밀번호 검증
+   * 본문 원문의 HMAC-SHA256 서명 생성 (보내는 웹훅처럼 중첩된 본문 전체를 서명할 때)
+   * @param {string} payload - 서명할 문자열
+   * @param {string} secret - 서명 키
+   * @returns {string} - 생성된 서명 (hex)
+   */
+  generatePayloadSignature(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  /**
+   * 비밀번호 해시 생성 (scrypt, 사용자별 랜덤 salt)
+   * 형식: scrypt$N$r$p$salt(base64)$hash(base64)
+   * @param {string} password - 비밀번호
+   * @returns {Promise<string>} - 저장용 해시 문자열
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p, keyLength } = SCRYPT_PARAMS;
+    const hash = await scrypt(password, salt, keyLength, { N, r, p, maxmem: SCRYPT_MAXMEM });
+
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+  }
+
+  /**
+   * 비밀번호 검증
    * @param {string} password - 입력된 비밀번호
-   * @returns {boolean} - 비밀번호 유효성
+   * @param {string} storedHash - hashPassword로 생성한 해시 문자열
+   * @returns {Promise<boolean>} - 비밀번호 일치 여부
    */
-  verifyAdminPassword(password) {
+  async verifyPassword(password, storedHash) {
     try {
-      const passwordHash = crypto.createHash('sha256').update(password).digest('hex');
-      
+      const [algorithm, N, r, p, salt, hash] = String(storedHash).split('$');
+
+      if (algorithm !== 'scrypt') {
+        return false;
+      }
+
+      const expected = Buffer.from(hash, 'base64');
+      const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: parseInt(N),
+        r: parseInt(r),
+        p: parseInt(p),
+        maxmem: SCRYPT_MAXMEM
+      });
+
       // 타이밍 공격 방지를 위한 상수 시간 비교
-      return crypto.timingSafeEqual(
-        Buffer.from(this.adminPasswordHash, 'hex'),
-        Buffer.from(passwordHash, 'hex')
-      );
+      return crypto.timingSafeEqual(expected, actual);
     } catch (error) {
-      logger.error(`Error verifying admin password: ${error.message}`);
+      logger.error(`Error verifying password: ${error.message}`);
       return false;
     }
   }
 
   /**
-   * 새로운 관리자 비밀번호 해시 생성
-   * @param {string} password - 새 비밀번호
+   * 세션 토큰 생성
+   * @returns {string} - 랜덤 토큰
+   */
+  generateSessionToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * 토큰 저장용 해시 (원본 토큰은 저장하지 않음)
+   * @param {string} token - 세션 토큰
    * @returns {string} - SHA256 해시
    */
-  generatePasswordHash(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
   }
 
   /**
@@ -110,6 +158,10 @@ class AuthService {
       errors.push('Timestamp is required');
     }
 
+    if (!data.nonce) {
+      errors.push('Nonce is required');
+    }
+
     if (!data.signature) {
       errors.push('Signature is required');
     }
@@ -117,9 +169,11 @@ class AuthService {
     // 타임스탬프 유효성 확인 (5분 이내)
     if (data.timestamp) {
       const now = Date.now();
-      const timeDiff = Math.abs(now - data.timestamp);
+      const timeDiff = Math.abs(now - Number(data.timestamp));
       
-      if (timeDiff > 300000) { // 5분 = 300,000ms
+      if (!Number.isFinite(timeDiff)) {
+        errors.push('Invalid timestamp');
+      } else if (timeDiff > REQUEST_MAX_AGE_MS) {
         errors.push('Request timestamp is too old');
       }
     }
@@ -171,4 +225,4 @@ class AuthService {
   }
 }
 
-module.exports = new AuthService(); 
\ No newline at end of file
+module.exports = new AuthService();  
\ No newline at end of file
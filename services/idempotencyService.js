@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { store, TransactionConflictError } = require('../storage');
+const logger = require('../utils/logger');
+
+const IDEMPOTENCY_COLLECTION = 'idempotency_keys';
+
+// 첫 응답을 보관하는 기간 (시간)
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// 처리 중 표시의 유효 시간 (초), 처리 도중 서버가 종료되어도 이후 같은 키로 다시 시도할 수 있다
+const PENDING_LOCK_SECONDS = 60;
+
+// 요청 비교에서 제외하는 필드 (재시도마다 새로 서명하므로 값이 달라진다)
+const VOLATILE_FIELDS = ['timestamp', 'nonce', 'signature'];
+
+/**
+ * Idempotency-Key 처리 서비스
+ * 키별 기록은 idempotency_keys/{SHA256(작업|주체|키)} 문서로 저장한다.
+ * 같은 키로 다시 요청하면 저장해 둔 첫 응답을 돌려주고 변경은 다시 적용하지 않는다.
+ */
+class IdempotencyService {
+  constructor() {
+    this.store = store;
+  }
+
+  /**
+   * 키 기록 문서 ID
+   * 작업과 요청 주체별로 구분하므로 다른 사용자가 같은 키를 써도 서로 영향을 주지 않는다.
+   * @param {string} operation - 작업 이름 (예: subscription.renew)
+   * @param {string} actor - 요청 주체 식별자
+   * @param {string} key - Idempotency-Key 헤더 값
+   * @returns {string} - 문서 ID
+   */
+  getRecordId(operation, actor, key) {
+    return crypto.createHash('sha256').update(`${operation}|${actor}|${key}`).digest('hex');
+  }
+
+  /**
+   * 요청 본문 해시 (같은 키로 다른 내용을 보냈는지 확인용)
+   * @param {Object} body - 요청 본문
+   * @returns {string} - SHA-256 해시
+   */
+  hashRequest(body = {}) {
+    const data = { ...body };
+    VOLATILE_FIELDS.forEach(field => delete data[field]);
+
+    const message = JSON.stringify(data, Object.keys(data).sort());
+    return crypto.createHash('sha256').update(message).digest('hex');
+  }
+
+  /**
+   * 키 사용 시작
+   * 기록이 없거나 만료되었으면 처리 중으로 표시하고, 있으면 저장된 응답 또는 상태를 돌려준다.
+   * @param {string} recordId - 키 기록 문서 ID
+   * @param {string} requestHash - 요청 본문 해시
+   * @returns {Object} - status: started | replay | in_progress | mismatch
+   *                     (replay이면 statusCode, response 포함)
+   */
+  async begin(recordId, requestHash) {
+    try {
+      return await this.store.runTransaction(async tx => {
+        const record = await tx.get(IDEMPOTENCY_COLLECTION, recordId);
+        const now = new Date();
+
+        const expired = record && new Date(record.expiresAt) <= now;
+        const abandoned = record && record.status === 'pending' && new Date(record.lockedUntil) <= now;
+
+        if (!record || expired || abandoned) {
+          tx.set(IDEMPOTENCY_COLLECTION, recordId, {
+            status: 'pending',
+            requestHash,
+            createdAt: now.toISOString(),
+            lockedUntil: new Date(now.getTime() + PENDING_LOCK_SECONDS * 1000).toISOString(),
+            expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 3600 * 1000).toISOString()
+          });
+          return { status: 'started' };
+        }
+
+        if (record.requestHash !== requestHash) {
+          return { status: 'mismatch' };
+        }
+
+        if (record.status === 'pending') {
+          return { status: 'in_progress' };
+        }
+
+        return { status: 'replay', statusCode: record.statusCode, response: record.response };
+      });
+    } catch (error) {
+      // 같은 키로 동시에 들어온 요청끼리 충돌한 경우
+      if (error instanceof TransactionConflictError) {
+        return { status: 'in_progress' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 첫 응답 저장
+   * @param {string} recordId - 키 기록 문서 ID
+   * @param {number} statusCode - HTTP 상태 코드
+   * @param {Object} response - 응답 본문
+   */
+  async complete(recordId, statusCode, response) {
+    await this.store.update(IDEMPOTENCY_COLLECTION, recordId, {
+      status: 'completed',
+      statusCode,
+      // Firestore는 undefined 값을 저장하지 않으므로 제거
+      response: response === undefined ? null : JSON.parse(JSON.stringify(response)),
+      completedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * 처리 중 표시 해제 (변경이 적용되지 않아 응답을 저장하지 않을 때, 같은 키로 다시 시도할 수 있게 한다)
+   * @param {string} recordId - 키 기록 문서 ID
+   */
+  async release(recordId) {
+    await this.store.delete(IDEMPOTENCY_COLLECTION, recordId);
+  }
+
+  /**
+   * 보관 기간이 지난 키 기록 정리
+   * @returns {number} - 삭제된 기록 수
+   */
+  async purgeExpired() {
+    const expired = await this.store.query(IDEMPOTENCY_COLLECTION, {
+      where: [['expiresAt', '<=', new Date().toISOString()]],
+      select: ['expiresAt']
+    });
+
+    await Promise.all(expired.map(({ id }) => this.store.delete(IDEMPOTENCY_COLLECTION, id)));
+
+    if (expired.length > 0) {
+      logger.info(`Purged ${expired.length} expired idempotency keys`);
+    }
+
+    return expired.length;
+  }
+}
+
+module.exports = new IdempotencyService();
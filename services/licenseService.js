@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { parseExpiry } = require('../utils/time');
+
+// 오프라인 유예 기간 기본값 (시간)
+const DEFAULT_OFFLINE_GRACE_HOURS = 72;
+
+/**
+ * base64url 인코딩
+ * @param {Buffer|string} input - 인코딩할 값
+ * @returns {string} - base64url 문자열
+ */
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * 오프라인 검증 가능한 라이선스 토큰 발급 서비스
+ * 토큰은 Ed25519로 서명된 JWT 형식(header.payload.signature)이며,
+ * 클라이언트는 공개 키(GET /api/license/public-key)로 서버 없이 검증할 수 있다.
+ */
+class LicenseService {
+  constructor() {
+    this.issuer = process.env.LICENSE_ISSUER || 'rainbow-rich-auth-server';
+    this.defaultOfflineGraceHours = parseInt(process.env.LICENSE_OFFLINE_GRACE_HOURS) || DEFAULT_OFFLINE_GRACE_HOURS;
+    this.loadKeys();
+  }
+
+  loadKeys() {
+    if (process.env.LICENSE_PRIVATE_KEY) {
+      this.privateKey = crypto.createPrivateKey(process.env.LICENSE_PRIVATE_KEY.replace(/\\n/g, '\n'));
+
+      if (this.privateKey.asymmetricKeyType !== 'ed25519') {
+        throw new Error('LICENSE_PRIVATE_KEY must be an Ed25519 private key');
+      }
+
+      this.publicKey = crypto.createPublicKey(this.privateKey);
+    } else {
+      // 키가 없으면 임시 키를 생성한다 (재시작하면 이전 토큰은 검증되지 않음)
+      logger.warn('LICENSE_PRIVATE_KEY is not set, using an ephemeral license signing key');
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+      this.privateKey = privateKey;
+      this.publicKey = publicKey;
+    }
+
+    this.keyId = process.env.LICENSE_KEY_ID || this.computeKeyId();
+  }
+
+  /**
+   * 공개 키에서 키 ID 생성 (SHA-256 지문 앞 16자리)
+   * @returns {string} - 키 ID
+   */
+  computeKeyId() {
+    const der = this.publicKey.export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * 클라이언트에 배포할 공개 키 정보
+   * @returns {Object} - 키 ID, 알고리즘, PEM, JWK
+   */
+  getPublicKeyInfo() {
+    return {
+      kid: this.keyId,
+      alg: 'EdDSA',
+      pem: this.publicKey.export({ type: 'spki', format: 'pem' }),
+      jwk: { ...this.publicKey.export({ format: 'jwk' }), kid: this.keyId, alg: 'EdDSA', use: 'sig' }
+    };
+  }
+
+  /**
+   * 라이선스 토큰 발급
+   * - sub: 사용자명
+   * - product: 제품 ID
+   * - device: 기기 ID (기기 등록을 사용하는 경우)
+   * - plan, entitlements: 요금제 ID와 사용 가능한 기능 목록
+   * - trial: 체험판 여부 (체험판일 때만 포함)
+   * - expires: 구독 만료 시각 (epoch 초)
+   * - graceUntil: 유예 기간 종료 시각 (epoch 초, 유예 기간 중에 발급한 경우)
+   * - iat: 발급 시각 (epoch 초)
+   * - exp: 오프라인 사용 허용 기한 (epoch 초, 구독 만료 시각(유예 기간 중이면 유예 종료 시각)을 넘지 않음)
+   * @param {Object} params - 토큰 정보
+   * @param {string} params.username - 사용자명
+   * @param {Object} params.product - 제품 설정
+   * @param {string} params.expires - 구독 만료 시각 (날짜만 있는 기존 값도 허용)
+   * @param {string} [params.deviceId] - 기기 ID
+   * @param {string} [params.graceUntil] - 유예 기간 종료 시각
+   * @param {Object} [params.plan] - 요금제 (id, entitlements)
+   * @param {boolean} [params.trial] - 체험판 여부
+   * @returns {string} - 서명된 토큰
+   */
+  issueToken({ username, product, expires, deviceId, graceUntil, plan, trial }) {
+    const now = Math.floor(Date.now() / 1000);
+    const expiresAt = Math.floor(parseExpiry(expires).getTime() / 1000);
+    const graceUntilAt = graceUntil ? Math.floor(new Date(graceUntil).getTime() / 1000) : undefined;
+    const graceHours = product.offlineGraceHours || this.defaultOfflineGraceHours;
+
+    const header = { alg: 'EdDSA', typ: 'JWT', kid: this.keyId };
+    const payload = {
+      iss: this.issuer,
+      sub: username,
+      product: product.id,
+      device: deviceId || undefined,
+      plan: plan ? plan.id : undefined,
+      entitlements: plan ? plan.entitlements : undefined,
+      trial: trial || undefined,
+      expires: expiresAt,
+      graceUntil: graceUntilAt,
+      iat: now,
+      exp: Math.min(now + graceHours * 3600, graceUntilAt || expiresAt)
+    };
+
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), this.privateKey);
+
+    return `${signingInput}.${base64url(signature)}`;
+  }
+
+  /**
+   * 라이선스 토큰 검증 (클라이언트 구현 참고용)
+   * @param {string} token - 검증할 토큰
+   * @returns {Object|null} - 유효하면 payload, 아니면 null
+   */
+  verifyToken(token) {
+    try {
+      const [encodedHeader, encodedPayload, encodedSignature] = String(token).split('.');
+      const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+
+      if (header.alg !== 'EdDSA' || header.kid !== this.keyId) {
+        return null;
+      }
+
+      const isValid = crypto.verify(
+        null,
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        this.publicKey,
+        Buffer.from(encodedSignature, 'base64url')
+      );
+
+      if (!isValid) {
+        return null;
+      }
+
+      const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+      return payload.exp * 1000 > Date.now() ? payload : null;
+    } catch (error) {
+      logger.error(`Error verifying license token: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = new LicenseService();
@@ -0,0 +1,74 @@
+const logger = require('../utils/logger');
+
+/**
+ * 재전송(replay) 방지를 위한 nonce 캐시
+ * 서명된 요청의 nonce를 타임스탬프 허용 범위 동안 기억해 같은 요청의 재사용을 막는다.
+ */
+class NonceCache {
+  constructor(ttlMs) {
+    this.ttlMs = ttlMs;
+    this.nonces = new Map();
+    this.maxEntries = parseInt(process.env.NONCE_CACHE_MAX_ENTRIES) || 100000;
+  }
+
+  /**
+   * nonce 사용 처리
+   * @param {string} nonce - 요청 nonce
+   * @returns {boolean} - 처음 사용된 nonce이면 true, 이미 사용되었거나 캐시가 가득 찼으면 false
+   */
+  use(nonce) {
+    const now = Date.now();
+    const expiresAt = this.nonces.get(nonce);
+
+    if (expiresAt && expiresAt > now) {
+      return false;
+    }
+
+    // 가득 찬 상태에서는 만료 전 nonce를 지우지 않고 새 nonce를 받지 않는다 (isFull 참고)
+    if (this.isFull()) {
+      return false;
+    }
+
+    // 다시 사용된 nonce가 삽입 순서의 맨 뒤로 가도록 지우고 다시 넣는다
+    this.nonces.delete(nonce);
+    this.nonces.set(nonce, now + this.ttlMs);
+    return true;
+  }
+
+  /**
+   * 캐시가 가득 찼는지 확인 (가득 찼으면 만료된 nonce를 먼저 정리한다)
+   * 만료 전 nonce를 밀어내면 그 요청을 다시 보낼 수 있으므로, 정리 후에도 자리가 없으면 새 요청을 거부해야 한다.
+   * @returns {boolean} - 새 nonce를 기록할 자리가 없으면 true
+   */
+  isFull() {
+    if (this.nonces.size >= this.maxEntries) {
+      this.purgeExpired();
+    }
+
+    return this.nonces.size >= this.maxEntries;
+  }
+
+  /**
+   * 만료된 nonce 정리
+   * @returns {number} - 삭제된 nonce 수
+   */
+  purgeExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt <= now) {
+        this.nonces.delete(nonce);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.debug(`Purged ${removed} expired nonces`);
+    }
+
+    return removed;
+  }
+}
+
+module.exports = NonceCache;
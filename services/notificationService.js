@@ -0,0 +1,234 @@
+const { store, TransactionConflictError } = require('../storage');
+const authService = require('./authService');
+const subscriptionService = require('./subscriptionService');
+const { sendMail } = require('../mailer');
+const { getProduct, listProducts } = require('../config/products');
+const { DEFAULT_LOCALE, getEmailTemplate, renderTemplate } = require('../config/emailTemplates');
+const logger = require('../utils/logger');
+const { addDays, formatDate, parseExpiry, normalizeExpiry } = require('../utils/time');
+
+// 사용자별 알림 설정 (notification_preferences/{username}: optOut, locale)
+const PREFERENCES_COLLECTION = 'notification_preferences';
+
+// 보낸 알림 ({제품}_{username}_{단계}_{만료 시각}), 같은 만료일에 같은 단계 알림은 한 번만 보낸다
+const LOG_COLLECTION = 'notification_log';
+
+// 만료 후 이 기간(일) 안에만 만료 안내를 보낸다 (처음 배포할 때 오래전에 만료된 구독에 보내지 않도록)
+const EXPIRED_NOTICE_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 만료 안내 메일 서비스
+ * 제품의 reminderDays 시점과 만료 시점에 사용자(사용자명 = 이메일)에게 메일을 보낸다.
+ * 보내기 전에 notification_log에 기록을 선점하므로 여러 번 실행해도 같은 알림이 중복되지 않고,
+ * 전송에 실패하면 기록을 지워 다음 실행에서 다시 보낸다.
+ */
+class NotificationService {
+  constructor() {
+    this.store = store;
+  }
+
+  /**
+   * 사용자 알림 설정
+   * @param {string} username - 사용자명
+   * @returns {Object} - optOut, locale
+   */
+  async getPreferences(username) {
+    const preferences = await this.store.get(PREFERENCES_COLLECTION, username);
+    return { optOut: false, locale: DEFAULT_LOCALE, ...preferences };
+  }
+
+  /**
+   * 사용자 알림 설정 변경
+   * @param {string} username - 사용자명
+   * @param {Object} changes - optOut(수신 거부), locale(ko | en)
+   * @returns {Object} - 변경된 설정
+   */
+  async setPreferences(username, changes) {
+    await this.store.set(PREFERENCES_COLLECTION, username, {
+      ...changes,
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
+
+    logger.info(`Notification preferences updated for ${username}: ${JSON.stringify(changes)}`);
+    return this.getPreferences(username);
+  }
+
+  /**
+   * 메일의 수신 거부 링크에 넣는 토큰
+   * @param {string} username - 사용자명
+   * @returns {string} - 토큰
+   */
+  getUnsubscribeToken(username) {
+    return authService.generateSignature({ purpose: 'unsubscribe', username });
+  }
+
+  /**
+   * 수신 거부 토큰 확인
+   * @param {string} username - 사용자명
+   * @param {string} token - 토큰
+   * @returns {boolean} - 유효 여부
+   */
+  verifyUnsubscribeToken(username, token) {
+    return authService.verifySignature({ purpose: 'unsubscribe', username }, String(token || ''));
+  }
+
+  /**
+   * 지금 보낼 알림 단계
+   * 만료 전 안내는 아직 지나지 않은 시점 중 가장 가까운 것 하나만 보낸다 (구독 직후 만료가 가까우면 앞 단계는 건너뛴다).
+   * @param {Object} product - 제품 설정
+   * @param {Object} subscriptionInfo - 구독 문서 데이터
+   * @param {Date} now - 기준 시각
+   * @returns {Object|null} - type(reminder | expired), key(기록 구분), daysLeft
+   */
+  getStage(product, subscriptionInfo, now) {
+    const expiry = parseExpiry(subscriptionInfo.expires);
+
+    if (!expiry) {
+      return null;
+    }
+
+    if (expiry <= now) {
+      return expiry > addDays(now, -EXPIRED_NOTICE_DAYS) ? { type: 'expired', key: 'expired', daysLeft: 0 } : null;
+    }
+
+    const due = product.reminderDays.filter(days => expiry <= addDays(now, days)).sort((a, b) => a - b);
+
+    if (due.length === 0) {
+      return null;
+    }
+
+    return { type: 'reminder', key: `reminder_${due[0]}`, daysLeft: Math.ceil((expiry - now) / DAY_MS) };
+  }
+
+  /**
+   * 알림 메일 내용
+   * @param {Object} product - 제품 설정
+   * @param {string} username - 사용자명
+   * @param {Object} subscriptionInfo - 구독 문서 데이터
+   * @param {Object} stage - getStage 결과
+   * @param {string} locale - 언어
+   * @returns {Object} - to, subject, text
+   */
+  buildMessage(product, username, subscriptionInfo, stage, locale) {
+    const template = getEmailTemplate(product.id, locale, stage.type);
+    const values = {
+      productName: product.name,
+      username,
+      // 자정인 만료 시각(기존 날짜 형식에서 변환)은 전날까지 사용할 수 있으므로 1초 전 기준 날짜로 표시한다
+      expiresDate: formatDate(new Date(parseExpiry(subscriptionInfo.expires).getTime() - 1000)),
+      daysLeft: stage.daysLeft
+    };
+
+    let text = renderTemplate(template.text, values);
+
+    if (process.env.PUBLIC_BASE_URL) {
+      const query = new URLSearchParams({ username, token: this.getUnsubscribeToken(username) });
+      values.unsubscribeUrl = `${process.env.PUBLIC_BASE_URL}/api/notifications/unsubscribe?${query}`;
+      text += renderTemplate(getEmailTemplate(product.id, locale, 'unsubscribe').text, values);
+    }
+
+    return { to: username, subject: renderTemplate(template.subject, values), text };
+  }
+
+  /**
+   * 알림 기록 선점 (이미 있으면 false)
+   * @param {string} logId - 기록 ID
+   * @param {Object} data - 기록 내용
+   * @returns {boolean} - 선점 여부
+   */
+  async claim(logId, data) {
+    try {
+      return await this.store.runTransaction(async tx => {
+        if (await tx.get(LOG_COLLECTION, logId)) {
+          return false;
+        }
+
+        tx.set(LOG_COLLECTION, logId, { ...data, status: 'sending', claimedAt: new Date().toISOString() });
+        return true;
+      });
+    } catch (error) {
+      // 다른 실행이 같은 알림을 선점했다
+      if (error instanceof TransactionConflictError) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 제품의 보낼 알림 전송
+   * Firestore 단일 필드 색인(expires)으로 만료 범위를 조회한다.
+   * @param {string} productId - 제품 ID
+   * @param {Date} [now] - 기준 시각
+   * @returns {Object} - checked, sent, skipped, failed
+   */
+  async sendDueNotifications(productId, now = new Date()) {
+    const product = getProduct(productId);
+    const from = addDays(now, -EXPIRED_NOTICE_DAYS);
+    const to = addDays(now, Math.max(0, ...product.reminderDays));
+    const docs = await this.store.query(subscriptionService.getCollectionName(productId), {
+      where: [
+        ['expires', '>', from.toISOString()],
+        ['expires', '<=', to.toISOString()]
+      ]
+    });
+
+    const summary = { checked: docs.length, sent: 0, skipped: 0, failed: 0 };
+
+    for (const { id: username, data } of docs) {
+      const stage = this.getStage(product, data, now);
+
+      // 취소했거나 취소 예정인 구독은 안내하지 않는다
+      if (!stage || data.cancelledAt || data.cancelAtPeriodEnd || !username.includes('@')) {
+        summary.skipped++;
+        continue;
+      }
+
+      const preferences = await this.getPreferences(username);
+      if (preferences.optOut) {
+        summary.skipped++;
+        continue;
+      }
+
+      const expires = normalizeExpiry(data.expires);
+      const logId = `${productId}_${username}_${stage.key}_${expires}`;
+
+      if (!await this.claim(logId, { product: productId, username, stage: stage.key, expires })) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        await sendMail(this.buildMessage(product, username, data, stage, preferences.locale));
+        await this.store.update(LOG_COLLECTION, logId, { status: 'sent', sentAt: new Date().toISOString() });
+        summary.sent++;
+      } catch (error) {
+        logger.error(`[${productId}] Failed to send ${stage.key} notice to ${username}: ${error.message}`);
+        await this.store.delete(LOG_COLLECTION, logId);
+        summary.failed++;
+      }
+    }
+
+    logger.info(`[${productId}] Expiry notices: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  /**
+   * 모든 제품의 보낼 알림 전송
+   * @param {Date} [now] - 기준 시각
+   * @returns {Object} - 제품 ID별 결과
+   */
+  async sendAllDueNotifications(now = new Date()) {
+    const results = {};
+
+    for (const product of listProducts()) {
+      results[product.id] = await this.sendDueNotifications(product.id, now);
+    }
+
+    return results;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+
+// Stripe 서명 타임스탬프 허용 범위 (초)
+const STRIPE_TOLERANCE_SECONDS = 300;
+
+/**
+ * 상수 시간 문자열 비교
+ * @param {string} expected - 기대한 값
+ * @param {string} provided - 받은 값
+ * @returns {boolean} - 일치 여부
+ */
+function safeEqual(expected, provided) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(provided));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * HMAC-SHA256
+ * @param {string} secret - 서명 키
+ * @param {string|Buffer} payload - 서명 대상
+ * @param {string} encoding - hex | base64
+ * @returns {string} - 서명
+ */
+function hmac(secret, payload, encoding) {
+  return crypto.createHmac('sha256', secret).update(payload).digest(encoding);
+}
+
+/**
+ * 주문 metadata의 sku/quantity를 주문 항목 목록으로 변환
+ * @param {Object} metadata - 결제 metadata
+ * @returns {Object[]} - [{ sku, quantity }]
+ */
+function itemsFromMetadata(metadata = {}) {
+  return metadata.sku ? [{ sku: metadata.sku, quantity: metadata.quantity }] : [];
+}
+
+// 결제 서비스별 웹훅 처리기
+// - secretEnv: 서명 키 환경 변수 (설정되지 않은 결제 서비스의 웹훅은 받지 않는다)
+// - verify(rawBody, headers, secret): 서명 확인
+// - parse(payload): 공통 이벤트로 변환
+//     { id, type: paid | refunded | partial_refund | null(처리하지 않는 이벤트), orderId, username, items: [{ sku, quantity }] }
+// 구매자 사용자명과 상품 코드는 결제 생성 시 metadata(username, sku, quantity)로 넘겨야 한다.
+const providers = {
+  // Stripe: Stripe-Signature 헤더 (t=타임스탬프,v1=HMAC-SHA256(`${t}.${본문}`) hex)
+  // Checkout Session의 payment_intent를 주문 번호로 사용해 환불(charge.refunded)과 연결한다.
+  stripe: {
+    secretEnv: 'STRIPE_WEBHOOK_SECRET',
+
+    verify(rawBody, headers, secret) {
+      const parts = String(headers['stripe-signature'] || '').split(',').map(part => part.split('='));
+      const timestamp = (parts.find(([key]) => key === 't') || [])[1];
+      const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+      if (!timestamp || signatures.length === 0 ||
+          Math.abs(Date.now() / 1000 - Number(timestamp)) > STRIPE_TOLERANCE_SECONDS) {
+        return false;
+      }
+
+      const expected = hmac(secret, `${timestamp}.${rawBody}`, 'hex');
+      return signatures.some(signature => safeEqual(expected, signature));
+    },
+
+    parse(payload) {
+      const object = (payload.data && payload.data.object) || {};
+      const event = { id: payload.id, type: null, orderId: object.payment_intent || object.id };
+
+      switch (payload.type) {
+        case 'checkout.session.completed':
+        case 'checkout.session.async_payment_succeeded':
+          if (object.payment_status === 'paid') {
+            const metadata = object.metadata || {};
+            event.type = 'paid';
+            event.username = object.client_reference_id || metadata.username;
+            event.items = itemsFromMetadata(metadata);
+          }
+          break;
+        case 'charge.refunded':
+          event.type = object.refunded ? 'refunded' : 'partial_refund';
+          break;
+      }
+
+      return event;
+    }
+  },
+
+  // 토스페이먼츠: tosspayments-webhook-signature 헤더 (v1:HMAC-SHA256(`${본문}:${전송 시각}`) base64, 쉼표로 여러 개)
+  // PAYMENT_STATUS_CHANGED 이벤트의 결제 상태로 처리하며, 이벤트 ID가 없으므로 paymentKey와 상태로 중복을 판단한다.
+  toss: {
+    secretEnv: 'TOSS_WEBHOOK_SECRET',
+
+    verify(rawBody, headers, secret) {
+      const transmissionTime = headers['tosspayments-webhook-transmission-time'];
+      const signatures = String(headers['tosspayments-webhook-signature'] || '')
+        .split(',')
+        .filter(value => value.startsWith('v1:'))
+        .map(value => value.slice(3));
+
+      if (!transmissionTime || signatures.length === 0) {
+        return false;
+      }
+
+      const expected = hmac(secret, `${rawBody}:${transmissionTime}`, 'base64');
+      return signatures.some(signature => safeEqual(expected, signature));
+    },
+
+    parse(payload) {
+      const data = payload.data || {};
+      const event = { id: `${data.paymentKey}_${data.status}`, type: null, orderId: data.orderId };
+
+      if (payload.eventType !== 'PAYMENT_STATUS_CHANGED') {
+        return event;
+      }
+
+      switch (data.status) {
+        case 'DONE': {
+          const metadata = data.metadata || {};
+          event.type = 'paid';
+          event.username = metadata.username;
+          event.items = itemsFromMetadata(metadata);
+          break;
+        }
+        case 'CANCELED':
+          event.type = 'refunded';
+          break;
+        case 'PARTIAL_CANCELED':
+          event.type = 'partial_refund';
+          break;
+      }
+
+      return event;
+    }
+  },
+
+  // 로컬 테스트용 결제 서비스: X-Fake-Signature 헤더 (HMAC-SHA256(본문) hex)
+  // 본문이 공통 이벤트 형식이다. scripts/fake-payment.js로 이벤트를 보낼 수 있다.
+  fake: {
+    secretEnv: 'FAKE_PAYMENT_WEBHOOK_SECRET',
+
+    verify(rawBody, headers, secret) {
+      return safeEqual(hmac(secret, rawBody, 'hex'), headers['x-fake-signature'] || '');
+    },
+
+    parse(payload) {
+      const types = { 'payment.paid': 'paid', 'payment.refunded': 'refunded', 'payment.partially_refunded': 'partial_refund' };
+
+      return {
+        id: payload.id,
+        type: types[payload.type] || null,
+        orderId: payload.orderId,
+        username: payload.username,
+        items: payload.items
+      };
+    }
+  }
+};
+
+/**
+ * 웹훅을 받을 수 있는 결제 서비스 조회
+ * @param {string} providerId - 결제 서비스 ID (stripe | toss | fake)
+ * @returns {Object|null} - 처리기와 서명 키 (없거나 서명 키가 설정되지 않았으면 null)
+ */
+function getPaymentProvider(providerId) {
+  const provider = Object.prototype.hasOwnProperty.call(providers, providerId) ? providers[providerId] : null;
+  const secret = provider ? process.env[provider.secretEnv] : null;
+
+  return secret ? { id: providerId, ...provider, secret } : null;
+}
+
+module.exports = {
+  getPaymentProvider,
+  hmac
+};
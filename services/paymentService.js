@@ -0,0 +1,312 @@
+const { store, TransactionConflictError } = require('../storage');
+const subscriptionService = require('./subscriptionService');
+const { getPaymentItem } = require('../config/paymentItems');
+const { getPlan } = require('../config/plans');
+const logger = require('../utils/logger');
+
+// 처리한 웹훅 이벤트 ({결제 서비스}_{이벤트 ID}), 같은 이벤트가 다시 오면 처리하지 않는다
+const EVENTS_COLLECTION = 'payment_events';
+
+// 주문별 지급 내역 ({결제 서비스}_{주문 번호}), 환불 시 지급한 일수를 회수하는 데 사용한다
+const ORDERS_COLLECTION = 'payment_orders';
+
+// 저장소 문서 ID로 사용할 수 있는 이벤트 ID/주문 번호
+const ID_PATTERN = /^[A-Za-z0-9_.:-]{1,200}$/;
+
+const CONFLICT_RESULT = {
+  success: false,
+  code: 'CONFLICT',
+  message: "다른 요청과 동시에 처리되어 실패했습니다. 잠시 후 다시 시도해주세요."
+};
+
+/**
+ * 결제 서비스
+ * 서명이 확인된 결제 웹훅 이벤트(services/paymentProviders.js)로 구독 기간을 지급하고, 환불되면 회수한다.
+ * 이벤트 기록, 주문 기록, 구독 변경을 한 트랜잭션으로 처리하므로 같은 이벤트나 주문이 두 번 적용되지 않는다.
+ */
+class PaymentService {
+  constructor() {
+    this.store = store;
+  }
+
+  /**
+   * 주문 항목을 제품별 지급 내역으로 변환
+   * 한 주문에서 같은 제품의 항목은 일수를 합치며, 같은 제품에 서로 다른 요금제를 함께 주문할 수는 없다.
+   * @param {Object[]} items - [{ sku, quantity }]
+   * @returns {Object} - 결과 (grants: [{ product, plan, days, skus }] / 실패 code: UNKNOWN_ITEM)
+   */
+  resolveItems(items) {
+    const grants = new Map();
+
+    for (const { sku, quantity = 1 } of items) {
+      const item = getPaymentItem(sku);
+      const count = Number(quantity);
+
+      if (!item || !Number.isInteger(count) || count < 1) {
+        return { success: false, code: 'UNKNOWN_ITEM', message: `등록되지 않은 결제 상품입니다: ${sku}` };
+      }
+
+      const grant = grants.get(item.product);
+      if (grant && grant.plan !== item.plan) {
+        return { success: false, code: 'UNKNOWN_ITEM', message: `한 주문에 ${item.product}의 요금제를 여러 개 구매할 수 없습니다.` };
+      }
+
+      grants.set(item.product, {
+        product: item.product,
+        plan: item.plan,
+        days: (grant ? grant.days : 0) + item.days * count,
+        skus: [...(grant ? grant.skus : []), sku]
+      });
+    }
+
+    return { success: true, grants: [...grants.values()] };
+  }
+
+  /**
+   * 웹훅 이벤트 처리
+   * @param {string} providerId - 결제 서비스 ID
+   * @param {Object} event - 공통 이벤트 (id, type, orderId, username, items)
+   * @returns {Object} - 결과 (code: PROCESSED, DUPLICATE, IGNORED, INVALID_EVENT, UNKNOWN_ITEM, CONFLICT, ERROR /
+   *                     username, orderId, changes: [{ product, plan, mode, days, previousExpires, expires }])
+   */
+  async handleEvent(providerId, event) {
+    if (!ID_PATTERN.test(String(event.id)) || !ID_PATTERN.test(String(event.orderId))) {
+      return { success: false, code: 'INVALID_EVENT', message: "이벤트 ID 또는 주문 번호가 올바르지 않습니다." };
+    }
+
+    if (!event.type) {
+      return { success: true, code: 'IGNORED', message: "처리하지 않는 이벤트입니다." };
+    }
+
+    const eventKey = `${providerId}_${event.id}`;
+    const orderKey = `${providerId}_${event.orderId}`;
+
+    try {
+      let result;
+
+      switch (event.type) {
+        case 'paid':
+          result = await this.applyPayment(providerId, event, eventKey, orderKey);
+          break;
+        case 'refunded':
+          result = await this.applyRefund(providerId, event, eventKey, orderKey);
+          break;
+        default:
+          // 부분 환불은 회수할 일수를 정할 수 없으므로 주문에 기록만 하고 관리자가 처리한다
+          result = await this.recordPartialRefund(providerId, event, eventKey, orderKey);
+      }
+
+      if (result.code === 'PROCESSED') {
+        for (const change of result.changes) {
+          await subscriptionService.recordDailyStat(change.product, {
+            subscribe: 'subscriptions',
+            renew: 'renewals',
+            refund: 'refunds'
+          }[change.mode]);
+        }
+      }
+
+      return result;
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        logger.warn(`Conflict processing ${providerId} payment event ${event.id}`);
+        return CONFLICT_RESULT;
+      }
+      logger.error(`Error processing ${providerId} payment event ${event.id}: ${error.message}`);
+      return { success: false, code: 'ERROR', message: "결제 이벤트 처리 중 오류가 발생했습니다." };
+    }
+  }
+
+  /**
+   * 결제 완료: 주문 항목의 기간 지급
+   * @param {string} providerId - 결제 서비스 ID
+   * @param {Object} event - 공통 이벤트
+   * @param {string} eventKey - 이벤트 문서 ID
+   * @param {string} orderKey - 주문 문서 ID
+   * @returns {Object} - handleEvent 결과
+   */
+  async applyPayment(providerId, event, eventKey, orderKey) {
+    const username = typeof event.username === 'string' ? event.username.trim() : '';
+    const items = Array.isArray(event.items) ? event.items : [];
+
+    if (!username || items.length === 0) {
+      return { success: false, code: 'INVALID_EVENT', message: "주문에 사용자명 또는 상품 정보가 없습니다." };
+    }
+
+    // 상품 설정이 없으면 이벤트를 기록하지 않아 설정을 고친 뒤 결제 서비스의 재전송으로 처리할 수 있다
+    const resolved = this.resolveItems(items);
+    if (!resolved.success) {
+      return resolved;
+    }
+
+    return this.store.runTransaction(async tx => {
+      if (await tx.get(EVENTS_COLLECTION, eventKey)) {
+        return { success: true, code: 'DUPLICATE', message: "이미 처리된 이벤트입니다." };
+      }
+
+      const order = await tx.get(ORDERS_COLLECTION, orderKey);
+      const currents = [];
+      for (const grant of resolved.grants) {
+        currents.push(await tx.get(subscriptionService.getCollectionName(grant.product), username));
+      }
+
+      const now = new Date().toISOString();
+      this.recordEvent(tx, providerId, event, eventKey, now);
+
+      // 같은 주문의 다른 결제 완료 이벤트이거나, 환불 이벤트가 먼저 도착한 주문
+      if (order) {
+        return { success: true, code: 'DUPLICATE', message: "이미 처리된 주문입니다.", orderId: event.orderId };
+      }
+
+      const source = { channel: 'payment', actor: `${providerId}:${event.orderId}` };
+      const changes = resolved.grants.map((grant, index) => {
+        const applied = subscriptionService.applyGrant(tx, grant.product, username, currents[index], {
+          days: grant.days,
+          plan: getPlan(grant.plan),
+          source
+        });
+        return { ...grant, ...applied };
+      });
+
+      tx.set(ORDERS_COLLECTION, orderKey, {
+        provider: providerId,
+        orderId: event.orderId,
+        username,
+        status: 'paid',
+        grants: changes.map(({ product, plan, days, skus }) => ({ product, plan, days, skus })),
+        paidAt: now,
+        paidEvent: event.id
+      });
+
+      logger.info(`[${providerId}] Order ${event.orderId} paid by ${username}: ${changes.map(c => `${c.product} +${c.days}d`).join(', ')}`);
+      return { success: true, code: 'PROCESSED', message: "결제가 반영되었습니다.", username, orderId: event.orderId, changes };
+    });
+  }
+
+  /**
+   * 전액 환불: 주문으로 지급한 기간 회수
+   * 구독 문서가 삭제된 제품은 건너뛴다.
+   * @param {string} providerId - 결제 서비스 ID
+   * @param {Object} event - 공통 이벤트
+   * @param {string} eventKey - 이벤트 문서 ID
+   * @param {string} orderKey - 주문 문서 ID
+   * @returns {Object} - handleEvent 결과
+   */
+  async applyRefund(providerId, event, eventKey, orderKey) {
+    return this.store.runTransaction(async tx => {
+      if (await tx.get(EVENTS_COLLECTION, eventKey)) {
+        return { success: true, code: 'DUPLICATE', message: "이미 처리된 이벤트입니다." };
+      }
+
+      const order = await tx.get(ORDERS_COLLECTION, orderKey);
+      const grants = order && order.status !== 'refunded' ? order.grants : [];
+      const currents = [];
+      for (const grant of grants) {
+        currents.push(await tx.get(subscriptionService.getCollectionName(grant.product), order.username));
+      }
+
+      const now = new Date().toISOString();
+      this.recordEvent(tx, providerId, event, eventKey, now);
+
+      if (order && order.status === 'refunded') {
+        return { success: true, code: 'DUPLICATE', message: "이미 환불된 주문입니다.", orderId: event.orderId };
+      }
+
+      // 결제 완료보다 먼저 도착한 환불: 나중에 오는 결제 완료 이벤트로 기간이 지급되지 않게 주문을 막아둔다
+      if (!order) {
+        tx.set(ORDERS_COLLECTION, orderKey, {
+          provider: providerId,
+          orderId: event.orderId,
+          username: null,
+          status: 'refunded',
+          grants: [],
+          refundedAt: now,
+          refundEvent: event.id
+        });
+        logger.warn(`[${providerId}] Refund for unknown order ${event.orderId}, order blocked`);
+        return { success: true, code: 'PROCESSED', message: "결제 전 환불된 주문입니다.", orderId: event.orderId, changes: [] };
+      }
+
+      const source = { channel: 'payment', actor: `${providerId}:${event.orderId}`, reason: 'refund' };
+      const changes = [];
+      grants.forEach((grant, index) => {
+        if (currents[index]) {
+          const applied = subscriptionService.applyRevocation(tx, grant.product, order.username, currents[index], {
+            days: grant.days,
+            source
+          });
+          changes.push({ product: grant.product, plan: grant.plan, mode: 'refund', ...applied });
+        }
+      });
+
+      tx.update(ORDERS_COLLECTION, orderKey, {
+        status: 'refunded',
+        refundedAt: now,
+        refundEvent: event.id
+      });
+
+      logger.info(`[${providerId}] Order ${event.orderId} refunded for ${order.username}: ${changes.map(c => `${c.product} -${c.days}d`).join(', ')}`);
+      return {
+        success: true,
+        code: 'PROCESSED',
+        message: "환불이 반영되었습니다.",
+        username: order.username,
+        orderId: event.orderId,
+        changes
+      };
+    });
+  }
+
+  /**
+   * 부분 환불: 주문에 기록만 남긴다 (기간 조정은 관리자 API로 처리)
+   * @param {string} providerId - 결제 서비스 ID
+   * @param {Object} event - 공통 이벤트
+   * @param {string} eventKey - 이벤트 문서 ID
+   * @param {string} orderKey - 주문 문서 ID
+   * @returns {Object} - handleEvent 결과
+   */
+  async recordPartialRefund(providerId, event, eventKey, orderKey) {
+    return this.store.runTransaction(async tx => {
+      if (await tx.get(EVENTS_COLLECTION, eventKey)) {
+        return { success: true, code: 'DUPLICATE', message: "이미 처리된 이벤트입니다." };
+      }
+
+      const order = await tx.get(ORDERS_COLLECTION, orderKey);
+      const now = new Date().toISOString();
+      this.recordEvent(tx, providerId, event, eventKey, now);
+
+      if (order) {
+        tx.update(ORDERS_COLLECTION, orderKey, { partialRefundAt: now, partialRefundEvent: event.id });
+      }
+
+      logger.warn(`[${providerId}] Partial refund for order ${event.orderId} needs manual review`);
+      return {
+        success: true,
+        code: 'IGNORED',
+        message: "부분 환불은 자동으로 처리하지 않습니다.",
+        username: order ? order.username : null,
+        orderId: event.orderId
+      };
+    });
+  }
+
+  /**
+   * 처리한 이벤트 기록 (트랜잭션의 읽기가 끝난 뒤 호출)
+   * @param {Object} tx - 저장소 트랜잭션
+   * @param {string} providerId - 결제 서비스 ID
+   * @param {Object} event - 공통 이벤트
+   * @param {string} eventKey - 이벤트 문서 ID
+   * @param {string} now - 처리 시각
+   */
+  recordEvent(tx, providerId, event, eventKey, now) {
+    tx.set(EVENTS_COLLECTION, eventKey, {
+      provider: providerId,
+      eventId: event.id,
+      type: event.type,
+      orderId: event.orderId,
+      receivedAt: now
+    });
+  }
+}
+
+module.exports = new PaymentService();
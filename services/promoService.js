@@ -0,0 +1,219 @@
+const { store, TransactionConflictError } = require('../storage');
+const { MAX_SUBSCRIPTION_DAYS } = require('../config/plans');
+const logger = require('../utils/logger');
+
+const PROMO_COLLECTION = 'promo_codes';
+
+// 사용자별 사용 횟수 ({코드}_{username})
+const PROMO_USAGE_COLLECTION = 'promo_redemptions';
+
+// 적용 가능한 작업
+const PROMO_OPERATIONS = ['subscribe', 'renew'];
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+/**
+ * 프로모션 코드 서비스
+ * 여러 사용자가 함께 쓰는 코드(promo_codes/{코드})로, 구독/갱신 시 입력하면 기간을 늘려준다.
+ * 일회용 활성화 코드(activationCodeService)와 달리 구독 자체를 만들지는 않는다.
+ */
+class PromoService {
+  constructor() {
+    this.store = store;
+  }
+
+  /**
+   * 코드 정규화 (대소문자, 앞뒤 공백 무시)
+   * @param {string} input - 입력한 코드
+   * @returns {string|null} - 코드 (형식이 맞지 않으면 null)
+   */
+  normalizeCode(input) {
+    const code = String(input || '').trim().toUpperCase();
+    return CODE_PATTERN.test(code) ? code : null;
+  }
+
+  /**
+   * 프로모션 코드 생성
+   * @param {Object} promo - 코드 설정
+   * @param {string} promo.code - 코드
+   * @param {string} promo.bonusType - days(일수 추가) | multiplier(기간 배수)
+   * @param {number} promo.bonusValue - 추가 일수 또는 배수
+   * @param {number} [promo.maxRedemptions] - 전체 사용 한도 (0이면 무제한)
+   * @param {number} [promo.perUserLimit] - 사용자별 사용 한도 (0이면 무제한, 기본값 1)
+   * @param {string} [promo.validFrom] - 사용 시작 시각
+   * @param {string} [promo.validUntil] - 사용 종료 시각
+   * @param {string[]} [promo.products] - 사용 가능한 제품 (없으면 모든 제품)
+   * @param {string[]} [promo.appliesTo] - 적용 작업 (subscribe, renew, 기본값 둘 다)
+   * @param {string} [promo.note] - 메모
+   * @param {string} createdBy - 생성한 관리자
+   * @returns {Object} - 결과 (promo)
+   */
+  async create({ code: input, bonusType, bonusValue, maxRedemptions = 0, perUserLimit = 1, validFrom = null, validUntil = null, products = null, appliesTo = PROMO_OPERATIONS, note = null }, createdBy) {
+    const code = this.normalizeCode(input);
+
+    if (!code) {
+      return { success: false, code: 'INVALID_PROMO', message: "프로모션 코드 형식이 올바르지 않습니다." };
+    }
+
+    const promo = {
+      bonusType,
+      bonusValue,
+      maxRedemptions,
+      perUserLimit,
+      validFrom,
+      validUntil,
+      products,
+      appliesTo,
+      note,
+      active: true,
+      redemptions: 0,
+      createdAt: new Date().toISOString(),
+      createdBy
+    };
+
+    try {
+      return await this.store.runTransaction(async tx => {
+        if (await tx.get(PROMO_COLLECTION, code)) {
+          return { success: false, code: 'PROMO_EXISTS', message: "이미 존재하는 프로모션 코드입니다." };
+        }
+
+        tx.set(PROMO_COLLECTION, code, promo);
+        logger.info(`Promo code ${code} created by ${createdBy}`);
+        return { success: true, message: "프로모션 코드가 생성되었습니다.", promo: { code, ...promo } };
+      });
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        return { success: false, code: 'PROMO_EXISTS', message: "이미 존재하는 프로모션 코드입니다." };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 프로모션 코드 설정 변경 (active: false로 사용 중지)
+   * @param {string} input - 코드
+   * @param {Object} changes - 변경할 설정 (create와 같은 필드, active)
+   * @returns {Object} - 결과 (promo)
+   */
+  async update(input, changes) {
+    const code = this.normalizeCode(input);
+
+    if (!code) {
+      return { success: false, code: 'NOT_FOUND', message: "프로모션 코드를 찾을 수 없습니다." };
+    }
+
+    return this.store.runTransaction(async tx => {
+      const promo = await tx.get(PROMO_COLLECTION, code);
+
+      if (!promo) {
+        return { success: false, code: 'NOT_FOUND', message: "프로모션 코드를 찾을 수 없습니다." };
+      }
+
+      const updates = { ...changes, updatedAt: new Date().toISOString() };
+      tx.update(PROMO_COLLECTION, code, updates);
+
+      return { success: true, message: "프로모션 코드가 변경되었습니다.", promo: { code, ...promo, ...updates } };
+    });
+  }
+
+  /**
+   * 프로모션 코드 조회
+   * @param {string} input - 코드
+   * @returns {Object|null} - 코드 설정 (없으면 null)
+   */
+  async get(input) {
+    const code = this.normalizeCode(input);
+    const promo = code ? await this.store.get(PROMO_COLLECTION, code) : null;
+    return promo ? { code, ...promo } : null;
+  }
+
+  /**
+   * 프로모션 코드 목록 (최신순)
+   * @returns {Object[]} - 코드 설정 목록
+   */
+  async list() {
+    const docs = await this.store.query(PROMO_COLLECTION, {
+      orderBy: [['createdAt', 'desc']]
+    });
+
+    return docs.map(({ id, data }) => ({ code: id, ...data }));
+  }
+
+  /**
+   * 프로모션 코드 사용 가능 여부 확인
+   * 구독 트랜잭션 안에서 쓰기 전에 호출하고, 구독 변경이 성공하면 redeem으로 사용 기록을 남긴다.
+   * @param {Object} tx - 저장소 트랜잭션
+   * @param {string} input - 입력한 코드
+   * @param {Object} context - productId, username, operation(subscribe | renew)
+   * @returns {Object} - 결과 (성공하면 promo, usage / 실패 code: INVALID_PROMO, PROMO_NOT_STARTED,
+   *                     PROMO_EXPIRED, PROMO_EXHAUSTED, PROMO_LIMIT_REACHED)
+   */
+  async check(tx, input, { productId, username, operation }) {
+    const code = this.normalizeCode(input);
+    const promo = code ? await tx.get(PROMO_COLLECTION, code) : null;
+    const usage = promo ? await tx.get(PROMO_USAGE_COLLECTION, `${code}_${username}`) : null;
+    const now = new Date();
+
+    if (!promo || !promo.active ||
+        (promo.products && !promo.products.includes(productId)) ||
+        !(promo.appliesTo || PROMO_OPERATIONS).includes(operation)) {
+      return { success: false, code: 'INVALID_PROMO', message: "사용할 수 없는 프로모션 코드입니다." };
+    }
+
+    if (promo.validFrom && now < new Date(promo.validFrom)) {
+      return { success: false, code: 'PROMO_NOT_STARTED', message: "아직 사용할 수 없는 프로모션 코드입니다." };
+    }
+
+    if (promo.validUntil && now > new Date(promo.validUntil)) {
+      return { success: false, code: 'PROMO_EXPIRED', message: "사용 기간이 지난 프로모션 코드입니다." };
+    }
+
+    if (promo.maxRedemptions > 0 && (promo.redemptions || 0) >= promo.maxRedemptions) {
+      return { success: false, code: 'PROMO_EXHAUSTED', message: "사용 한도가 소진된 프로모션 코드입니다." };
+    }
+
+    if (promo.perUserLimit > 0 && usage && usage.count >= promo.perUserLimit) {
+      return { success: false, code: 'PROMO_LIMIT_REACHED', message: "이미 사용한 프로모션 코드입니다." };
+    }
+
+    return { success: true, promo: { code, ...promo }, usage };
+  }
+
+  /**
+   * 혜택을 적용한 구독 일수 (MAX_SUBSCRIPTION_DAYS를 넘지 않는다)
+   * @param {Object} promo - 코드 설정
+   * @param {number} days - 원래 일수
+   * @returns {number} - 적용 후 일수
+   */
+  applyBonus(promo, days) {
+    const bonusDays = promo.bonusType === 'multiplier'
+      ? Math.round(days * promo.bonusValue)
+      : days + promo.bonusValue;
+
+    return Math.min(bonusDays, MAX_SUBSCRIPTION_DAYS);
+  }
+
+  /**
+   * 사용 기록 (check와 같은 트랜잭션에서 호출)
+   * @param {Object} tx - 저장소 트랜잭션
+   * @param {Object} checked - check 결과 (promo, usage)
+   * @param {string} username - 사용자명
+   * @param {string} productId - 제품 ID
+   */
+  redeem(tx, { promo, usage }, username, productId) {
+    const now = new Date().toISOString();
+
+    tx.update(PROMO_COLLECTION, promo.code, {
+      redemptions: (promo.redemptions || 0) + 1
+    });
+    tx.set(PROMO_USAGE_COLLECTION, `${promo.code}_${username}`, {
+      code: promo.code,
+      username,
+      count: (usage ? usage.count : 0) + 1,
+      lastProduct: productId,
+      lastRedeemedAt: now
+    });
+  }
+}
+
+module.exports = new PromoService();
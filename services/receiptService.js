@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { store } = require('../storage');
+const { MAX_SUBSCRIPTION_DAYS, getPlan } = require('../config/plans');
+const { getProduct } = require('../config/products');
+const logger = require('../utils/logger');
+
+// 사용한 영수증 (영수증 ID별), 같은 영수증은 한 번만 적용된다
+const RECEIPTS_COLLECTION = 'purchase_receipts';
+
+const RECEIPT_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,200}$/;
+
+/**
+ * 구매 영수증 서비스
+ * 결제를 확인한 판매 서버가 RECEIPT_SECRET으로 서명해 클라이언트에 준 영수증으로 구독/갱신을 허용한다.
+ * 형식: base64url(JSON).base64url(HMAC-SHA256(앞부분))
+ * 내용: { id, username, product, plan, days, expiresAt } (plan이 없으면 구독은 기본 요금제, 갱신은 현재 요금제)
+ * 영수증 사용 기록은 promoService와 같이 구독 트랜잭션 안에서 확인하고 남긴다.
+ */
+class ReceiptService {
+  constructor() {
+    this.store = store;
+  }
+
+  /**
+   * 영수증 서명 키 (설정되지 않으면 영수증을 받지 않는다)
+   * @returns {string|null}
+   */
+  getSecret() {
+    return process.env.RECEIPT_SECRET || null;
+  }
+
+  /**
+   * 영수증 발급 (판매 서버와 테스트용)
+   * @param {Object} receipt - 영수증 내용
+   * @returns {string} - 서명된 영수증
+   */
+  issue(receipt) {
+    const payload = Buffer.from(JSON.stringify(receipt)).toString('base64url');
+    const signature = crypto.createHmac('sha256', this.getSecret()).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+  }
+
+  /**
+   * 영수증 서명과 내용 확인 (사용 여부는 check에서 확인)
+   * @param {string} token - 서명된 영수증
+   * @returns {Object} - 결과 (receipt / 실패 code: INVALID_RECEIPT, RECEIPT_EXPIRED)
+   */
+  verify(token) {
+    const invalid = { success: false, code: 'INVALID_RECEIPT', message: "유효하지 않은 구매 영수증입니다." };
+    const secret = this.getSecret();
+    const [payload, signature] = String(token || '').split('.');
+
+    if (!secret || !payload || !signature) {
+      return invalid;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(payload).digest('base64url'));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return invalid;
+    }
+
+    let receipt;
+    try {
+      receipt = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      logger.warn(`Malformed receipt payload: ${error.message}`);
+      return invalid;
+    }
+
+    if (!receipt || !RECEIPT_ID_PATTERN.test(String(receipt.id)) || !receipt.username || !getProduct(receipt.product) ||
+        (receipt.plan && !getPlan(receipt.plan)) ||
+        !Number.isInteger(receipt.days) || receipt.days < 1 || receipt.days > MAX_SUBSCRIPTION_DAYS) {
+      return invalid;
+    }
+
+    if (receipt.expiresAt && new Date() > new Date(receipt.expiresAt)) {
+      return { success: false, code: 'RECEIPT_EXPIRED', message: "사용 기한이 지난 구매 영수증입니다." };
+    }
+
+    return { success: true, receipt };
+  }
+
+  /**
+   * 영수증 사용 여부 확인 (구독 트랜잭션 안에서 쓰기 전에 호출)
+   * @param {Object} tx - 저장소 트랜잭션
+   * @param {Object} receipt - verify로 확인한 영수증
+   * @returns {Object} - 결과 (실패 code: RECEIPT_USED)
+   */
+  async check(tx, receipt) {
+    if (await tx.get(RECEIPTS_COLLECTION, receipt.id)) {
+      return { success: false, code: 'RECEIPT_USED', message: "이미 사용된 구매 영수증입니다." };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * 영수증 사용 기록 (check와 같은 트랜잭션에서 호출)
+   * @param {Object} tx - 저장소 트랜잭션
+   * @param {Object} receipt - 영수증
+   * @param {string} operation - subscribe | renew
+   */
+  consume(tx, receipt, operation) {
+    tx.set(RECEIPTS_COLLECTION, receipt.id, {
+      username: receipt.username,
+      product: receipt.product,
+      plan: receipt.plan || null,
+      days: receipt.days,
+      operation,
+      usedAt: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new ReceiptService();
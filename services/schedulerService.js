@@ -0,0 +1,340 @@
+const os = require('os');
+const crypto = require('crypto');
+const { store, TransactionConflictError } = require('../storage');
+const logger = require('../utils/logger');
+
+// 작업별 실행 상태와 잠금 (scheduler_jobs/{작업 이름})
+const JOBS_COLLECTION = 'scheduler_jobs';
+
+// 실행할 작업이 있는지 확인하는 간격 (초)
+const TICK_SECONDS = parseInt(process.env.SCHEDULER_TICK_SECONDS) || 60;
+
+// 잠금 유지 시간 (분), 실행 중인 인스턴스가 종료되어 잠금을 풀지 못해도 이 시간이 지나면 다른 인스턴스가 실행한다
+// 실행 중에는 이 시간의 1/3마다 잠금을 연장하므로 오래 걸리는 작업도 다른 인스턴스와 겹쳐 실행되지 않는다
+const LOCK_MINUTES = parseInt(process.env.SCHEDULER_LOCK_MINUTES) || 15;
+
+// 확인 주기 때문에 한 주기씩 늦게 실행되지 않도록 실행 예정 시각보다 주기의 절반 안쪽이면 실행한다
+const SLACK_MS = TICK_SECONDS * 1000 / 2;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * SCHEDULER_JOBS_CONFIG 환경 변수(JSON)로 작업별 실행 간격과 사용 여부를 지정한다.
+ * 예: {"expiry-notices":{"intervalMinutes":30},"stats-snapshot":{"enabled":false}}
+ * @returns {Object} - 작업 이름별 설정
+ */
+function loadJobOverrides() {
+  if (!process.env.SCHEDULER_JOBS_CONFIG) {
+    return {};
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.SCHEDULER_JOBS_CONFIG);
+  } catch (error) {
+    throw new Error(`Invalid SCHEDULER_JOBS_CONFIG: ${error.message}`);
+  }
+
+  for (const [name, override] of Object.entries(overrides)) {
+    if (override.intervalMinutes !== undefined && (!Number.isInteger(override.intervalMinutes) || override.intervalMinutes < 1)) {
+      throw new Error(`Job ${name} has invalid intervalMinutes: ${override.intervalMinutes}`);
+    }
+    if (override.enabled !== undefined && typeof override.enabled !== 'boolean') {
+      throw new Error(`Job ${name} has invalid enabled: ${override.enabled}`);
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * 예약 작업 실행기
+ * 서버 프로세스 안에서 등록된 작업을 실행 간격마다 실행한다.
+ * 여러 인스턴스가 떠 있어도 작업마다 scheduler_jobs 문서의 잠금을 트랜잭션으로 선점한 인스턴스 하나만 실행하고,
+ * 마지막 실행 시각이 실행 간격 안이면 건너뛴다. 인스턴스 메모리만 다루는 작업(local)은 잠금 없이 인스턴스마다 실행한다.
+ */
+class SchedulerService {
+  constructor() {
+    this.store = store;
+    this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    this.jobs = new Map();
+    this.overrides = loadJobOverrides();
+    this.timer = null;
+  }
+
+  /**
+   * 작업 등록
+   * @param {Object} job - 작업
+   * @param {string} job.name - 작업 이름
+   * @param {string} job.description - 설명
+   * @param {number} job.intervalMinutes - 기본 실행 간격 (분)
+   * @param {boolean} [job.local] - 인스턴스마다 실행 여부 (잠금 없음)
+   * @param {Function} job.run - 실행 함수 (결과 요약을 반환)
+   */
+  register({ name, description, intervalMinutes, local = false, run }) {
+    const override = this.overrides[name] || {};
+
+    this.jobs.set(name, {
+      name,
+      description,
+      intervalMinutes: override.intervalMinutes || intervalMinutes,
+      enabled: override.enabled !== false,
+      local,
+      run,
+      running: false,
+      nextRunAt: 0,
+      lastRun: null
+    });
+  }
+
+  /**
+   * 실행 시작 (서버 시작 시 호출, 바로 한 번 확인한다)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const unknown = Object.keys(this.overrides).filter(name => !this.jobs.has(name));
+    if (unknown.length > 0) {
+      logger.warn(`SCHEDULER_JOBS_CONFIG has unknown jobs: ${unknown.join(', ')}`);
+    }
+
+    // 예약 작업 때문에 프로세스가 종료되지 않는 일이 없도록 한다
+    this.timer = setInterval(() => this.tick(), TICK_SECONDS * 1000);
+    this.timer.unref();
+    setImmediate(() => this.tick());
+
+    logger.info(`Scheduler started on ${this.instanceId}: ${[...this.jobs.values()].filter(job => job.enabled).map(job => job.name).join(', ')}`);
+  }
+
+  /**
+   * 실행 중지 (실행 중인 작업은 끝까지 실행된다)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 실행할 때가 된 작업을 차례로 실행 (한 번에 한 작업씩)
+   */
+  async tick() {
+    for (const job of this.jobs.values()) {
+      if (job.enabled && !job.running && Date.now() + SLACK_MS >= job.nextRunAt) {
+        await this.runJob(job.name).catch(error => {
+          logger.error(`Scheduler failed to run ${job.name}: ${error.message}`);
+        });
+      }
+    }
+  }
+
+  /**
+   * 작업 잠금 선점
+   * 다른 인스턴스가 실행 중이거나 (force가 아니면) 실행 간격 안에 실행된 작업은 선점하지 않는다.
+   * @param {Object} job - 등록된 작업
+   * @param {Date} now - 기준 시각
+   * @param {boolean} force - 실행 간격 무시 여부
+   * @returns {Object} - acquired, state(저장된 실행 상태)
+   */
+  async acquire(job, now, force) {
+    return this.store.runTransaction(async tx => {
+      const state = await tx.get(JOBS_COLLECTION, job.name) || {};
+
+      if (state.lockedBy && state.lockedBy !== this.instanceId && new Date(state.lockedUntil) > now) {
+        return { acquired: false, state };
+      }
+      if (!force && state.lastStartedAt && now - new Date(state.lastStartedAt) + SLACK_MS < job.intervalMinutes * MINUTE_MS) {
+        return { acquired: false, state };
+      }
+
+      tx.set(JOBS_COLLECTION, job.name, {
+        lockedBy: this.instanceId,
+        lockedUntil: new Date(now.getTime() + LOCK_MINUTES * MINUTE_MS).toISOString(),
+        lastStartedAt: now.toISOString()
+      }, { merge: true });
+
+      return { acquired: true, state };
+    });
+  }
+
+  /**
+   * 실행 중인 작업의 잠금 연장 (이 인스턴스가 잠금을 가지고 있을 때만)
+   * @param {string} name - 작업 이름
+   * @returns {boolean} - 연장 여부 (false면 잠금을 잃었다)
+   */
+  async renewLock(name) {
+    return this.store.runTransaction(async tx => {
+      const state = await tx.get(JOBS_COLLECTION, name);
+
+      if (!state || state.lockedBy !== this.instanceId) {
+        return false;
+      }
+
+      tx.update(JOBS_COLLECTION, name, {
+        lockedUntil: new Date(Date.now() + LOCK_MINUTES * MINUTE_MS).toISOString()
+      });
+      return true;
+    });
+  }
+
+  /**
+   * 실행 결과 기록과 잠금 해제 (이 인스턴스가 잠금을 가지고 있을 때만)
+   * 잠금을 잃었다면 다른 인스턴스가 실행 중이므로 그 인스턴스의 잠금과 실행 상태를 덮어쓰지 않는다.
+   * @param {string} name - 작업 이름
+   * @param {Object} record - 실행 결과
+   * @returns {boolean} - 해제 여부
+   */
+  async release(name, record) {
+    return this.store.runTransaction(async tx => {
+      const state = await tx.get(JOBS_COLLECTION, name);
+
+      if (!state || state.lockedBy !== this.instanceId) {
+        return false;
+      }
+
+      tx.update(JOBS_COLLECTION, name, { ...record, lockedUntil: record.lastFinishedAt });
+      return true;
+    });
+  }
+
+  /**
+   * 작업 실행
+   * @param {string} name - 작업 이름
+   * @param {Object} [options] - force(실행 간격과 관계없이 지금 실행, 관리자 요청)
+   * @returns {Object} - 결과 (code: COMPLETED, FAILED, SKIPPED, RUNNING, NOT_FOUND / result, error)
+   */
+  async runJob(name, { force = false } = {}) {
+    const job = this.jobs.get(name);
+
+    if (!job) {
+      return { success: false, code: 'NOT_FOUND', message: "등록되지 않은 작업입니다." };
+    }
+    if (job.running) {
+      return { success: false, code: 'RUNNING', message: "이 서버에서 이미 실행 중인 작업입니다." };
+    }
+
+    job.running = true;
+
+    try {
+      const startedAt = new Date();
+
+      if (!job.local) {
+        let lock;
+        try {
+          lock = await this.acquire(job, startedAt, force);
+        } catch (error) {
+          // 다른 인스턴스가 같은 작업을 동시에 선점했다
+          if (!(error instanceof TransactionConflictError)) {
+            throw error;
+          }
+          lock = { acquired: false, state: {} };
+        }
+
+        if (!lock.acquired) {
+          const lastStartedAt = lock.state.lastStartedAt ? new Date(lock.state.lastStartedAt).getTime() : startedAt.getTime();
+          job.nextRunAt = Math.max(lastStartedAt + job.intervalMinutes * MINUTE_MS, startedAt.getTime() + TICK_SECONDS * 1000);
+          return { success: false, code: 'SKIPPED', message: "다른 서버에서 실행 중이거나 최근에 실행된 작업입니다." };
+        }
+      }
+
+      const record = { lastStartedAt: startedAt.toISOString() };
+      const renewal = job.local ? null : setInterval(() => {
+        this.renewLock(name)
+          .then(renewed => {
+            if (!renewed) {
+              logger.warn(`Job ${name} lost its lock on ${this.instanceId} while running`);
+            }
+          })
+          .catch(error => logger.error(`Error renewing lock for job ${name}: ${error.message}`));
+      }, LOCK_MINUTES * MINUTE_MS / 3);
+
+      if (renewal) {
+        renewal.unref();
+      }
+
+      try {
+        const result = await job.run();
+        // 저장소에 undefined 값을 쓰지 않도록 JSON으로 정리한다
+        record.lastStatus = 'success';
+        record.lastResult = result === undefined ? null : JSON.parse(JSON.stringify(result));
+        record.lastError = null;
+      } catch (error) {
+        logger.error(`Job ${name} failed: ${error.message}`);
+        record.lastStatus = 'failed';
+        record.lastResult = null;
+        record.lastError = error.message;
+      } finally {
+        clearInterval(renewal);
+      }
+
+      const finishedAt = new Date();
+      record.lastFinishedAt = finishedAt.toISOString();
+      record.lastDurationMs = finishedAt - startedAt;
+      record.lastInstance = this.instanceId;
+
+      job.lastRun = record;
+      job.nextRunAt = startedAt.getTime() + job.intervalMinutes * MINUTE_MS;
+
+      if (!job.local) {
+        let released;
+        try {
+          released = await this.release(name, record);
+        } catch (error) {
+          if (!(error instanceof TransactionConflictError)) {
+            throw error;
+          }
+          released = false;
+        }
+
+        if (!released) {
+          logger.warn(`Job ${name} finished on ${this.instanceId} after losing its lock, result not recorded`);
+        }
+      }
+
+      logger.info(`Job ${name} ${record.lastStatus} in ${record.lastDurationMs}ms: ${JSON.stringify(record.lastResult)}`);
+
+      return record.lastStatus === 'success'
+        ? { success: true, code: 'COMPLETED', message: "작업이 완료되었습니다.", result: record.lastResult }
+        : { success: false, code: 'FAILED', message: "작업 실행 중 오류가 발생했습니다.", error: record.lastError };
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * 작업 목록과 마지막 실행 결과 (관리자용)
+   * 잠금을 쓰는 작업은 모든 인스턴스의 마지막 실행을, local 작업은 이 인스턴스의 마지막 실행을 보여준다.
+   * @returns {Object} - instanceId, running(이 인스턴스의 실행기 동작 여부), jobs
+   */
+  async getStatus() {
+    const jobs = await Promise.all([...this.jobs.values()].map(async job => {
+      const state = job.local ? job.lastRun || {} : await this.store.get(JOBS_COLLECTION, job.name) || {};
+
+      return {
+        name: job.name,
+        description: job.description,
+        intervalMinutes: job.intervalMinutes,
+        enabled: job.enabled,
+        local: job.local,
+        running: job.running || Boolean(state.lockedUntil && new Date(state.lockedUntil) > new Date()),
+        lastStartedAt: state.lastStartedAt || null,
+        lastFinishedAt: state.lastFinishedAt || null,
+        lastStatus: state.lastStatus || null,
+        lastDurationMs: state.lastDurationMs === undefined ? null : state.lastDurationMs,
+        lastResult: state.lastResult === undefined ? null : state.lastResult,
+        lastError: state.lastError || null,
+        lastInstance: state.lastInstance || null,
+        nextRunAt: state.lastStartedAt
+          ? new Date(new Date(state.lastStartedAt).getTime() + job.intervalMinutes * MINUTE_MS).toISOString()
+          : null
+      };
+    }));
+
+    return { instanceId: this.instanceId, running: this.timer !== null, jobs };
+  }
+}
+
+module.exports = new SchedulerService();
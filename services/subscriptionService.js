@@ -0,0 +1,1718 @@
+const crypto = require('crypto');
+const { store, DOCUMENT_ID, deleteField, increment, TransactionConflictError } = require('../storage');
+const logger = require('../utils/logger');
+const { DEFAULT_PRODUCT_ID, getProduct } = require('../config/products');
+const { DEFAULT_PLAN_ID, MAX_SUBSCRIPTION_DAYS, getPlan } = require('../config/plans');
+const { addDays, formatDate, parseExpiry, normalizeExpiry } = require('../utils/time');
+const promoService = require('./promoService');
+const receiptService = require('./receiptService');
+const webhookService = require('./webhookService');
+
+// 구독당 기본 기기 등록 한도 (0이면 무제한)
+const DEFAULT_MAX_DEVICES = process.env.DEFAULT_MAX_DEVICES !== undefined
+  ? parseInt(process.env.DEFAULT_MAX_DEVICES)
+  : 2;
+
+// 구독당 기본 동시 사용 좌석 수 (0이면 무제한)
+const DEFAULT_MAX_SEATS = process.env.DEFAULT_MAX_SEATS !== undefined
+  ? parseInt(process.env.DEFAULT_MAX_SEATS)
+  : 1;
+
+// 일별 통계 컬렉션
+const STATS_COLLECTION = 'stats_daily';
+
+// 일별 구독 현황 스냅샷 컬렉션 ({productId}_{YYYY-MM-DD})
+const SNAPSHOTS_COLLECTION = 'stats_snapshots';
+
+// 만료 표시 작업이 확인하는 기간 (일), 유예 기간이 끝난 뒤 이 기간 안에 만료된 구독만 조회한다
+const EXPIRE_SWEEP_LOOKBACK_DAYS = 30;
+
+// 체험판 사용 기록 컬렉션 ({productId}_user_{username}, {productId}_device_{deviceId})
+// 구독 문서와 별도로 보관하므로 구독을 취소하거나 삭제해도 체험판을 다시 받을 수 없다
+const TRIAL_USAGE_COLLECTION = 'trial_usage';
+
+// 사용자명 검색 시 한 번에 가져오는 최대 문서 수
+const PREFIX_SCAN_LIMIT = 1000;
+
+// 좌석 임대 유효 시간 (초), 클라이언트는 이보다 짧은 주기로 하트비트를 보내야 한다
+const SESSION_LEASE_SECONDS = parseInt(process.env.SESSION_LEASE_SECONDS) || 120;
+
+// 동시 요청과 충돌해 재시도 후에도 처리하지 못했을 때의 결과
+const CONFLICT_RESULT = {
+  success: false,
+  code: 'CONFLICT',
+  message: "다른 요청과 동시에 처리되어 실패했습니다. 잠시 후 다시 시도해주세요."
+};
+
+/**
+ * 취소 관련 필드를 지우는 update/set(merge) 데이터 (재구독, 재활성화 시 사용)
+ * @returns {Object} - 필드 삭제 데이터
+ */
+function clearCancellation() {
+  return {
+    cancelledAt: deleteField(),
+    cancelAtPeriodEnd: deleteField(),
+    cancelRequestedAt: deleteField(),
+    cancelReason: deleteField(),
+    cancelledBy: deleteField()
+  };
+}
+
+/**
+ * 기기 지문을 저장용 기기 ID로 변환 (원본 지문은 저장하지 않음)
+ * @param {string} fingerprint - 클라이언트가 보낸 기기 지문
+ * @returns {string} - 기기 ID
+ */
+function getDeviceId(fingerprint) {
+  return crypto.createHash('sha256').update(String(fingerprint)).digest('hex').substring(0, 32);
+}
+
+/**
+ * 임대 기간이 남은 좌석 세션
+ * @param {Object} subscriptionInfo - 구독 문서 데이터
+ * @returns {Object} - 세션 ID별 세션 정보
+ */
+function getLiveSessions(subscriptionInfo) {
+  const now = Date.now();
+  const sessions = subscriptionInfo.sessions || {};
+
+  return Object.fromEntries(
+    Object.entries(sessions).filter(([, session]) => new Date(session.expiresAt).getTime() > now)
+  );
+}
+
+/**
+ * 세션 ID가 세션 목록에 있는지 확인
+ * 클라이언트가 보낸 세션 ID가 constructor 등 상속된 속성 이름이어도 세션으로 보지 않도록 자기 속성만 확인한다.
+ * @param {Object} sessions - 세션 ID별 세션 정보
+ * @param {string} sessionId - 세션 ID
+ * @returns {boolean}
+ */
+function hasSession(sessions, sessionId) {
+  return Object.prototype.hasOwnProperty.call(sessions, sessionId);
+}
+
+/**
+ * 만료된 좌석 세션을 삭제하는 update 필드
+ * @param {Object} subscriptionInfo - 구독 문서 데이터
+ * @returns {Object} - update 데이터
+ */
+function staleSessionUpdates(subscriptionInfo) {
+  const live = getLiveSessions(subscriptionInfo);
+  const updates = {};
+
+  for (const sessionId of Object.keys(subscriptionInfo.sessions || {})) {
+    if (!hasSession(live, sessionId)) {
+      updates[`sessions.${sessionId}`] = deleteField();
+    }
+  }
+
+  return updates;
+}
+
+/**
+ * 구독 상태 필터를 만료 시각 범위로 변환
+ * 만료 시각(ISO 8601)이 현재 이전이면 만료된 구독이다 (verifySubscription과 동일한 기준).
+ * 저장소 조회는 문자열 비교이므로 날짜만 있는 기존 문서는 마이그레이션 전까지 그날 0시(UTC) 만료로 조회된다
+ * (scripts/migrate-expiry-timestamps.js).
+ * @param {string} [status] - active | expired | expiring
+ * @param {number} [days] - expiring 기준 일수
+ * @returns {Object} - { after, until } (after < expires <= until)
+ */
+function getStatusRange(status, days) {
+  const now = new Date();
+
+  switch (status) {
+    case 'active':
+      return { after: now.toISOString() };
+    case 'expired':
+      return { until: now.toISOString() };
+    case 'expiring':
+      return { after: now.toISOString(), until: addDays(now, days).toISOString() };
+    default:
+      return {};
+  }
+}
+
+function isInRange(expires, range) {
+  const expiry = normalizeExpiry(expires);
+  return (!range.after || expiry > range.after) && (!range.until || expiry <= range.until);
+}
+
+function compareByExpiry(a, b) {
+  if (a.data.expires !== b.data.expires) {
+    return a.data.expires < b.data.expires ? -1 : 1;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+function encodeCursor({ id, data }) {
+  return Buffer.from(JSON.stringify([data.expires, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [expires, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return { id, data: { expires } };
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+}
+
+/**
+ * 제품별 구독 관리 서비스
+ * 저장소(storage/)를 통해 데이터를 읽고 쓰므로 Firestore, 메모리, 파일 저장소 모두에서 동작한다.
+ * 구독 문서를 읽고 고쳐 쓰는 작업은 모두 트랜잭션 안에서 실행해 동시 요청에 변경이 유실되지 않게 하고,
+ * 재시도 후에도 충돌하면 code: CONFLICT로 실패를 반환한다.
+ */
+class SubscriptionService {
+  constructor() {
+    this.store = store;
+  }
+
+  // ========================================
+  // 제품별 구독 함수들
+  // ========================================
+
+  /**
+   * 제품 ID에 해당하는 구독 컬렉션 이름
+   * @param {string} productId - 제품 ID
+   * @returns {string} - 구독 컬렉션 이름
+   */
+  getCollectionName(productId) {
+    const product = getProduct(productId);
+
+    if (!product) {
+      throw new Error(`Unknown product: ${productId}`);
+    }
+
+    return product.collection;
+  }
+
+  /**
+   * 구독의 요금제 설정 (plan 필드가 없는 기존 구독이나 카탈로그에서 빠진 요금제는 기본 요금제)
+   * @param {Object} subscriptionInfo - 구독 문서 데이터
+   * @returns {Object} - 요금제 설정
+   */
+  getSubscriptionPlan(subscriptionInfo = {}) {
+    return getPlan(subscriptionInfo.plan) || getPlan(DEFAULT_PLAN_ID);
+  }
+
+  /**
+   * 구독 변경 내역 컬렉션 ({구독 컬렉션}/{username}/history 하위 컬렉션)
+   * @param {string} productId - 제품 ID
+   * @param {string} username - 사용자명
+   * @returns {string} - 컬렉션 경로
+   */
+  getHistoryCollection(productId, username) {
+    return `${this.getCollectionName(productId)}/${username}/history`;
+  }
+
+  /**
+   * 구독 변경 내역 기록
+   * 구독 문서를 변경하는 트랜잭션(tx) 안에서 호출해 변경과 내역이 함께 커밋되게 한다.
+   * @param {Object} tx - 저장소 트랜잭션
+   * @param {string} productId - 제품 ID
+   * @param {string} username - 사용자명
+   * @param {Object} entry - 내역
+   * @param {string} entry.type - subscribe | trial | renew | refund | cancel | cancel_scheduled | reactivate | expire
+   * @param {number} [entry.days] - 추가된 일수 (환불로 회수한 일수는 음수)
+   * @param {string} [entry.plan] - 요금제 ID
+   * @param {string} [entry.previousExpires] - 변경 전 만료일
+   * @param {string} [entry.expires] - 변경 후 만료일
+   * @param {string} [entry.promo] - 적용한 프로모션 코드
+   * @param {Object} [entry.source] - 변경 경로 (channel: client | admin 등, actor, reason 등)
+   */
+  recordHistory(tx, productId, username, { type, days = null, plan = null, previousExpires = null, expires = null, promo = null, source = {} }) {
+    const at = new Date().toISOString();
+
+    tx.set(this.getHistoryCollection(productId, username), crypto.randomBytes(10).toString('hex'), {
+      at,
+      type,
+      days,
+      plan,
+      previousExpires,
+      expires,
+      promo,
+      source: source.channel || 'client',
+      actor: source.actor || null,
+      reason: source.reason || null
+    });
+
+    // 구독 변경이 저장될 때만 웹훅이 나가도록 같은 트랜잭션에서 이벤트를 기록한다 (관리자/결제 식별자인 actor는 보내지 않는다)
+    webhookService.enqueue(tx, productId, username, {
+      type,
+      at,
+      plan,
+      days,
+      previousExpires,
+      expires,
+      source: source.channel || 'client',
+      reason: source.reason || null
+    });
+  }
+
+  /**
+   * 구독 상태 (취소 여부와 제품의 유예 기간 포함)
+   * 즉시 취소된 구독은 만료일과 관계없이 cancelled이고,
+   * 기간 종료 시 취소(cancelAtPeriodEnd)된 구독은 만료일까지 active이며 유예 기간 없이 만료된다.
+   * @param {string} productId - 제품 ID
+   * @param {Object} subscriptionInfo - 구독 문서 데이터
+   * @returns {Object} - status(active | grace | expired | cancelled), graceUntil(유예 기간 중일 때 유예 종료일)
+   */
+  getSubscriptionStatus(productId, subscriptionInfo) {
+    const now = new Date();
+    const expiryDate = parseExpiry(subscriptionInfo.expires);
+
+    if (subscriptionInfo.cancelledAt) {
+      return { status: 'cancelled' };
+    }
+
+    if (now <= expiryDate) {
+      return { status: 'active' };
+    }
+
+    const product = getProduct(productId);
+    const graceDays = subscriptionInfo.cancelAtPeriodEnd ? 0 : (product && product.gracePeriodDays) || 0;
+    const graceUntil = addDays(expiryDate, graceDays);
+
+    if (graceDays > 0 && now <= graceUntil) {
+      return { status: 'grace', graceUntil: graceUntil.toISOString() };
+    }
+
+    return { status: 'expired' };
+  }
+
+  /**
+   * 구독 검증
+   * 기기 지문을 함께 받으면 구독에 등록하고, 한도를 넘는 새 기기는 거부한다.
+   * 지문이 없으면 기기 등록 없이 검증하며, 제품에 requireDevice가 설정된 경우에만 DEVICE_REQUIRED로 거부한다.
+   * 동시 사용 좌석이 모두 사용 중이면 해당 세션을 보유하지 않은 클라이언트는 거부한다.
+   * 만료 후 제품의 유예 기간(gracePeriodDays) 안이면 실패 대신 GRACE로 성공을 반환한다.
+   * @param {string} username - 사용자명
+   * @param {string} productId - 제품 ID
+   * @param {Object} [client] - 클라이언트 정보
+   * @param {string} [client.fingerprint] - 기기 지문
+   * @param {string} [client.name] - 기기 이름
+   * @param {string} [client.sessionId] - 보유 중인 좌석 세션 ID
+   * @returns {Object} - 검증 결과 (code: ACTIVE, GRACE, NOT_FOUND, EXPIRED, CANCELLED, DEVICE_REQUIRED,
+   *                     DEVICE_LIMIT_REACHED, SEAT_LIMIT_REACHED, CONFLICT, ERROR)
+   */
+  async verifySubscription(username, productId = DEFAULT_PRODUCT_ID, client = {}) {
+    try {
+      const collection = this.getCollectionName(productId);
+
+      return await this.store.runTransaction(async tx => {
+        const subscriptionInfo = await tx.get(collection, username);
+
+        if (!subscriptionInfo) {
+          return { success: false, code: 'NOT_FOUND', message: "구독이 없습니다." };
+        }
+
+        const { status, graceUntil } = this.getSubscriptionStatus(productId, subscriptionInfo);
+
+        if (status === 'cancelled') {
+          return { success: false, code: 'CANCELLED', message: "취소된 구독입니다." };
+        }
+
+        if (status === 'expired') {
+          return { success: false, code: 'EXPIRED', message: "구독이 만료되었습니다." };
+        }
+
+        let deviceId = null;
+        let deviceStatus = null;
+        if (!client.fingerprint && getProduct(productId).requireDevice === true) {
+          return { success: false, code: 'DEVICE_REQUIRED', message: "기기 식별 정보가 필요합니다." };
+        }
+
+        if (client.fingerprint) {
+          deviceId = getDeviceId(client.fingerprint);
+          deviceStatus = this.registerDevice(tx, username, subscriptionInfo, productId, deviceId, client.name);
+
+          if (deviceStatus === 'limit') {
+            return {
+              success: false,
+              code: 'DEVICE_LIMIT_REACHED',
+              message: "등록 가능한 기기 수를 초과했습니다.",
+              maxDevices: this.getDeviceLimit(productId, subscriptionInfo)
+            };
+          }
+        }
+
+        const liveSessions = getLiveSessions(subscriptionInfo);
+        const seats = {
+          used: Object.keys(liveSessions).length,
+          max: this.getSeatLimit(productId, subscriptionInfo)
+        };
+
+        if (seats.max > 0 && !hasSession(liveSessions, client.sessionId) && seats.used >= seats.max) {
+          return {
+            success: false,
+            code: 'SEAT_LIMIT_REACHED',
+            message: "동시 사용 가능한 수를 초과했습니다.",
+            seats
+          };
+        }
+
+        if (status === 'grace') {
+          logger.info(`[${productId}] ${username} is in grace period until ${graceUntil}`);
+        }
+
+        const plan = this.getSubscriptionPlan(subscriptionInfo);
+
+        return { 
+          success: true,
+          code: status === 'grace' ? 'GRACE' : 'ACTIVE',
+          message: status === 'grace' ? "구독이 만료되었지만 유예 기간입니다." : "구독이 유효합니다.", 
+          expires: normalizeExpiry(subscriptionInfo.expires),
+          graceUntil: graceUntil || null,
+          cancelAtPeriodEnd: subscriptionInfo.cancelAtPeriodEnd === true,
+          trial: subscriptionInfo.trial === true,
+          plan: { id: plan.id, name: plan.name, entitlements: plan.entitlements },
+          deviceId,
+          deviceRegistered: deviceStatus === 'registered',
+          seats
+        };
+      });
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        logger.warn(`Conflict verifying ${productId} subscription for ${username}`);
+        return { ...CONFLICT_RESULT };
+      }
+      logger.error(`Error verifying ${productId} subscription for ${username}: ${error.message}`);
+      return { success: false, code: 'ERROR', message: "구독 확인 중 오류가 발생했습니다." };
+    }
+  }
+
+  /**
+   * 구독 등록
+   * 이미 구독 중이면 제품의 subscribePolicy에 따라 남은 기간 뒤에 추가(stack)하거나 오늘부터 다시 계산(replace)한다.
+   * 취소된 구독에 다시 구독하면 취소 상태를 지우고 오늘부터 계산한다.
+   * @param {string} username - 사용자명
+   * @param {number} [duration] - 구독 일수 (없으면 요금제 기간, 요금제에도 없으면 제품 기본 기간)
+   * @param {string} productId - 제품 ID
+   * @param {Object} [options] - 구독 옵션
+   * @param {string} [options.plan] - 요금제 ID
+   * @param {string} [options.promo] - 프로모션 코드 (사용할 수 없으면 구독하지 않고 실패 결과를 돌려준다)
+   * @param {Object} [options.receipt] - 확인된 구매 영수증 (receiptService.verify, 이미 사용했으면 실패 결과를 돌려준다)
+   * @param {Object} [options.source] - 변경 경로 (변경 내역에 기록, recordHistory 참고)
+   * @returns {Object} - 결과 (expires, previousExpires, plan, days, promo)
+   */
+  async subscribe(username, duration, productId = DEFAULT_PRODUCT_ID, { plan: planId = DEFAULT_PLAN_ID, promo = null, receipt = null, source = {} } = {}) {
+    try {
+      const product = getProduct(productId);
+      const plan = getPlan(planId);
+      const collection = this.getCollectionName(productId);
+
+      if (!plan) {
+        return { success: false, message: "알 수 없는 요금제입니다." };
+      }
+
+      const days = duration || plan.duration || product.defaultDuration;
+
+      const result = await this.store.runTransaction(async tx => {
+        const current = await tx.get(collection, username);
+        const checked = promo ? await promoService.check(tx, promo, { productId, username, operation: 'subscribe' }) : null;
+
+        if (checked && !checked.success) {
+          return checked;
+        }
+
+        const receiptChecked = receipt ? await receiptService.check(tx, receipt) : null;
+
+        if (receiptChecked && !receiptChecked.success) {
+          return receiptChecked;
+        }
+
+        const applied = this.applySubscribe(tx, productId, username, current, {
+          days,
+          plan,
+          promo: checked && checked.promo,
+          source
+        });
+
+        if (checked) {
+          promoService.redeem(tx, checked, username, productId);
+        }
+        if (receipt) {
+          receiptService.consume(tx, receipt, 'subscribe');
+        }
+
+        return { success: true, ...applied };
+      });
+
+      if (!result.success) {
+        return result;
+      }
+
+      await this.recordDailyStat(productId, 'subscriptions');
+      
+      return { 
+        success: true,
+        message: "구독이 업데이트되었습니다.", 
+        expires: result.expires,
+        previousExpires: result.previousExpires,
+        plan: plan.id,
+        days: result.days,
+        promo: result.promo
+      };
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        logger.warn(`Conflict creating ${productId} subscription for ${username}`);
+        return { ...CONFLICT_RESULT };
+      }
+      logger.error(`Error creating ${productId} subscription for ${username}: ${error.message}`);
+      return { success: false, message: "구독 생성 중 오류가 발생했습니다." };
+    }
+  }
+
+  /**
+   * 구독 등록 변경 적용 (트랜잭션 안에서 구독 문서를 읽은 뒤 호출)
+   * @param {Object} tx - 저장소 트랜잭션
+   * @param {string} productId - 제품 ID
+   * @param {string} username - 사용자명
+   * @param {Object|null} current - 트랜잭션에서 읽은 구독 문서 데이터
+   * @param {Object} options - days(구독 일수), plan(요금제 설정), promo(확인된 프로모션 코드), source(변경 경로)
+   * @returns {Object} - expires, previousExpires, days(혜택 포함), promo(code, bonusDays)
+   */
+  applySubscribe(tx, productId, username, current, { days: baseDays, plan, promo = null, source = {} }) {
+    const product = getProduct(productId);
+    // 결제 수량이나 프로모션으로 늘어난 일수도 한 번에 MAX_SUBSCRIPTION_DAYS까지만 추가한다
+    const days = Math.min(promo ? promoService.applyBonus(promo, baseDays) : baseDays, MAX_SUBSCRIPTION_DAYS);
+    const now = new Date();
+    const currentExpiry = current ? parseExpiry(current.expires) : null;
+    const previousExpires = current ? normalizeExpiry(current.expires) : null;
+
+    const stack = product.subscribePolicy === 'stack' && current && !current.cancelledAt && currentExpiry > now;
+    const base = stack ? currentExpiry : now;
+    const expiryDateStr = addDays(base, days).toISOString();
+
+    // 체험판 사용자가 구독하면 정식 구독으로 전환된다
+    const subscriptionData = {
+      username: username,
+      expires: expiryDateStr,
+      plan: plan.id,
+      trial: deleteField(),
+      expiredAt: deleteField(),
+      ...clearCancellation()
+    };
+
+    // 등록된 기기 등 다른 필드는 유지
+    tx.set(this.getCollectionName(productId), username, subscriptionData, { merge: true });
+    this.recordHistory(tx, productId, username, {
+      type: 'subscribe',
+      days,
+      plan: plan.id,
+      previousExpires,
+      expires: expiryDateStr,
+      promo: promo ? promo.code : null,
+      source
+    });
+
+    return {
+      expires: expiryDateStr,
+      previousExpires,
+      days,
+      promo: promo ? { code: promo.code, bonusDays: days - baseDays } : null
+    };
+  }
+
+  /**
+   * 무료 체험 시작
+   * 제품의 trialDays만큼 체험 구독(trial: true)을 만든다. 체험판은 사용자명과 기기별로 한 번만 받을 수 있고,
+   * 구독한 적이 있는 사용자는 받을 수 없다. 체험을 시작한 기기는 구독에 등록된다.
+   * @param {string} username - 사용자명
+   * @param {string} productId - 제품 ID
+   * @param {Object} client - 클라이언트 정보
+   * @param {string} client.fingerprint - 기기 지문
+   * @param {string} [client.name] - 기기 이름
+   * @param {Object} [client.source] - 변경 경로 (변경 내역에 기록)
+   * @returns {Object} - 결과 (code: TRIAL_STARTED, TRIAL_UNAVAILABLE, DEVICE_REQUIRED, TRIAL_USED,
+   *                     DEVICE_TRIAL_USED, ALREADY_SUBSCRIBED, CONFLICT, ERROR / expires, plan, days, deviceId)
+   */
+  async startTrial(username, productId = DEFAULT_PRODUCT_ID, { fingerprint, name, source = {} } = {}) {
+    try {
+      const product = getProduct(productId);
+      const collection = this.getCollectionName(productId);
+      const days = product.trialDays || 0;
+
+      if (days <= 0) {
+        return { success: false, code: 'TRIAL_UNAVAILABLE', message: "체험판을 제공하지 않는 제품입니다." };
+      }
+
+      if (!fingerprint) {
+        return { success: false, code: 'DEVICE_REQUIRED', message: "기기 식별 정보가 필요합니다." };
+      }
+
+      const plan = getPlan(product.trialPlan) || getPlan(DEFAULT_PLAN_ID);
+      const deviceId = getDeviceId(fingerprint);
+      const userKey = `${productId}_user_${username}`;
+      const deviceKey = `${productId}_device_${deviceId}`;
+
+      const result = await this.store.runTransaction(async tx => {
+        const userTrial = await tx.get(TRIAL_USAGE_COLLECTION, userKey);
+        const deviceTrial = await tx.get(TRIAL_USAGE_COLLECTION, deviceKey);
+        const current = await tx.get(collection, username);
+
+        if (userTrial) {
+          return { success: false, code: 'TRIAL_USED', message: "이미 체험판을 사용했습니다." };
+        }
+
+        if (deviceTrial) {
+          return { success: false, code: 'DEVICE_TRIAL_USED', message: "이 기기에서 이미 체험판을 사용했습니다." };
+        }
+
+        if (current) {
+          return { success: false, code: 'ALREADY_SUBSCRIBED', message: "구독한 적이 있는 사용자는 체험판을 사용할 수 없습니다." };
+        }
+
+        const now = new Date();
+        const expires = addDays(now, days).toISOString();
+        const usage = {
+          product: productId,
+          username,
+          deviceId,
+          startedAt: now.toISOString(),
+          expires
+        };
+
+        tx.set(collection, username, {
+          username,
+          expires,
+          plan: plan.id,
+          trial: true,
+          devices: {
+            [deviceId]: {
+              name: name ? String(name).substring(0, 100) : null,
+              registeredAt: now.toISOString(),
+              lastSeenAt: now.toISOString()
+            }
+          }
+        });
+        tx.set(TRIAL_USAGE_COLLECTION, userKey, usage);
+        tx.set(TRIAL_USAGE_COLLECTION, deviceKey, usage);
+        this.recordHistory(tx, productId, username, {
+          type: 'trial',
+          days,
+          plan: plan.id,
+          expires,
+          source
+        });
+
+        return {
+          success: true,
+          code: 'TRIAL_STARTED',
+          message: "체험판이 시작되었습니다.",
+          expires,
+          plan: plan.id,
+          days,
+          deviceId
+        };
+      });
+
+      if (result.success) {
+        await this.recordDailyStat(productId, 'trials');
+      }
+
+      return result;
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        logger.warn(`Conflict starting ${productId} trial for ${username}`);
+        return { ...CONFLICT_RESULT };
+      }
+      logger.error(`Error starting ${productId} trial for ${username}: ${error.message}`);
+      return { success: false, code: 'ERROR', message: "체험판 시작 중 오류가 발생했습니다." };
+    }
+  }
+
+  /**
+   * 구독 갱신
+   * 제품의 renewalPolicy에 따라 만료 시각과 현재 중 늦은 시각(extend_from_later) 또는 저장된 만료 시각(extend_from_expiry)부터 연장한다.
+   * 일수는 업무 시간대(BUSINESS_TIMEZONE)의 달력 기준으로 더한다.
+   * @param {string} username - 사용자명
+   * @param {number} [duration] - 연장 일수 (없으면 구독 중인 요금제 기간, 요금제에도 없으면 제품 기본 기간)
+   * @param {string} productId - 제품 ID
+   * @param {Object} [options] - 갱신 옵션
+   * @param {string} [options.promo] - 프로모션 코드 (사용할 수 없으면 갱신하지 않고 실패 결과를 돌려준다)
+   * @param {Object} [options.receipt] - 확인된 구매 영수증 (receiptService.verify, 이미 사용했으면 실패 결과를 돌려준다)
+   * @param {Object} [options.source] - 변경 경로 (변경 내역에 기록)
+   * @returns {Object} - 결과 (expires, previousExpires, days, promo)
+   */
+  async renewSubscription(username, duration, productId = DEFAULT_PRODUCT_ID, { promo = null, receipt = null, source = {} } = {}) {
+    try {
+      const collection = this.getCollectionName(productId);
+
+      // 읽은 만료일이 커밋 전에 바뀌면 다시 계산하므로 동시 갱신의 기간이 유실되지 않는다
+      const result = await this.store.runTransaction(async tx => {
+        const subscriptionInfo = await tx.get(collection, username);
+
+        if (!subscriptionInfo) {
+          return { success: false, message: "갱신할 구독이 없습니다." };
+        }
+
+        const checked = promo ? await promoService.check(tx, promo, { productId, username, operation: 'renew' }) : null;
+
+        if (checked && !checked.success) {
+          return checked;
+        }
+
+        const receiptChecked = receipt ? await receiptService.check(tx, receipt) : null;
+
+        if (receiptChecked && !receiptChecked.success) {
+          return receiptChecked;
+        }
+
+        if (receipt && receipt.plan && this.getSubscriptionPlan(subscriptionInfo).id !== receipt.plan) {
+          return {
+            success: false,
+            code: 'RECEIPT_PLAN_MISMATCH',
+            message: "구매 영수증의 요금제가 구독 중인 요금제와 다릅니다."
+          };
+        }
+
+        const renewed = this.applyRenewal(tx, productId, username, subscriptionInfo, {
+          duration,
+          promo: checked && checked.promo,
+          source
+        });
+
+        if (checked && renewed.success) {
+          promoService.redeem(tx, checked, username, productId);
+        }
+        if (receipt && renewed.success) {
+          receiptService.consume(tx, receipt, 'renew');
+        }
+
+        return renewed;
+      });
+
+      if (result.success) {
+        await this.recordDailyStat(productId, 'renewals');
+      }
+
+      return result;
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        logger.warn(`Conflict renewing ${productId} subscription for ${username}`);
+        return { ...CONFLICT_RESULT };
+      }
+      logger.error(`Error renewing ${productId} subscription for ${username}: ${error.message}`);
+      return { success: false, message: "구독 갱신 중 오류가 발생했습니다." };
+    }
+  }
+
+  /**
+   * 구독 갱신 변경 적용 (트랜잭션 안에서 구독 문서를 읽은 뒤 호출)
+   * 취소되었거나 취소 예정인 구독은 변경하지 않고 실패 결과를 돌려준다.
+   * @param {Object} tx - 저장소 트랜잭션
+   * @param {string} productId - 제품 ID
+   * @param {string} username - 사용자명
+   * @param {Object} subscriptionInfo - 트랜잭션에서 읽은 구독 문서 데이터
+   * @param {Object} options - duration(연장 일수, 없으면 요금제 기간), promo(확인된 프로모션 코드), source(변경 경로)
+   * @returns {Object} - 결과 (expires, previousExpires, days(혜택 포함), promo(code, bonusDays))
+   */
+  applyRenewal(tx, productId, username, subscriptionInfo, { duration, promo = null, source = {} }) {
+    const product = getProduct(productId);
+
+    if (subscriptionInfo.cancelledAt) {
+      return { success: false, code: 'CANCELLED', message: "취소된 구독은 갱신할 수 없습니다." };
+    }
+
+    if (subscriptionInfo.cancelAtPeriodEnd) {
+      return {
+        success: false,
+        code: 'CANCEL_SCHEDULED',
+        message: "기간 종료 시 취소 예정인 구독은 갱신할 수 없습니다. 먼저 재활성화해주세요."
+      };
+    }
+
+    const now = new Date();
+    const currentExpiry = parseExpiry(subscriptionInfo.expires);
+    const fromExpiry = product.renewalPolicy === 'extend_from_expiry' || currentExpiry > now;
+    const base = fromExpiry ? currentExpiry : now;
+    const baseDays = duration || this.getSubscriptionPlan(subscriptionInfo).duration || product.defaultDuration;
+    const days = Math.min(promo ? promoService.applyBonus(promo, baseDays) : baseDays, MAX_SUBSCRIPTION_DAYS);
+    const newExpiryStr = addDays(base, days).toISOString();
+
+    // 요금제 등 다른 필드는 유지 (체험판은 정식 구독으로 전환)
+    const updateData = {
+      username: username,
+      expires: newExpiryStr,
+      trial: deleteField(),
+      expiredAt: deleteField()
+    };
+
+    tx.set(this.getCollectionName(productId), username, updateData, { merge: true });
+    this.recordHistory(tx, productId, username, {
+      type: 'renew',
+      days,
+      plan: this.getSubscriptionPlan(subscriptionInfo).id,
+      previousExpires: normalizeExpiry(subscriptionInfo.expires),
+      expires: newExpiryStr,
+      promo: promo ? promo.code : null,
+      source
+    });
+
+    return { 
+      success: true,
+      message: "구독이 갱신되었습니다.", 
+      expires: newExpiryStr,
+      previousExpires: normalizeExpiry(subscriptionInfo.expires),
+      days,
+      promo: promo ? { code: promo.code, bonusDays: days - baseDays } : null
+    };
+  }
+
+  /**
+   * 구매한 기간 적용 (트랜잭션 안에서 구독 문서를 읽은 뒤 호출)
+   * 같은 요금제를 구독 중이면 갱신하고, 아니면 구독을 등록한다 (취소된 구독은 취소 상태가 지워진다).
+   * @param {Object} tx - 저장소 트랜잭션
+   * @param {string} productId - 제품 ID
+   * @param {string} username - 사용자명
+   * @param {Object|null} current - 트랜잭션에서 읽은 구독 문서 데이터
+   * @param {Object} options - days(구독 일수), plan(요금제 설정), source(변경 경로)
+   * @returns {Object} - mode(subscribe | renew), expires, previousExpires, days
+   */
+  applyGrant(tx, productId, username, current, { days, plan, source = {} }) {
+    const renew = Boolean(current && !current.cancelledAt && !current.cancelAtPeriodEnd &&
+      this.getSubscriptionPlan(current).id === plan.id);
+
+    const applied = renew
+      ? this.applyRenewal(tx, productId, username, current, { duration: days, source })
+      : this.applySubscribe(tx, productId, username, current, { days, plan, source });
+
+    return {
+      mode: renew ? 'renew' : 'subscribe',
+      expires: applied.expires,
+      previousExpires: applied.previousExpires,
+      days: applied.days
+    };
+  }
+
+  /**
+   * 환불된 기간 회수 (트랜잭션 안에서 구독 문서를 읽은 뒤 호출)
+   * 현재 만료일에서 일수를 빼며, 요금제와 취소 상태는 바꾸지 않는다.
+   * @param {Object} tx - 저장소 트랜잭션
+   * @param {string} productId - 제품 ID
+   * @param {string} username - 사용자명
+   * @param {Object} subscriptionInfo - 트랜잭션에서 읽은 구독 문서 데이터
+   * @param {Object} options - days(회수할 일수), source(변경 경로)
+   * @returns {Object} - expires, previousExpires, days(회수한 일수)
+   */
+  applyRevocation(tx, productId, username, subscriptionInfo, { days, source = {} }) {
+    const previousExpires = normalizeExpiry(subscriptionInfo.expires);
+    const expires = addDays(parseExpiry(subscriptionInfo.expires), -days).toISOString();
+
+    tx.update(this.getCollectionName(productId), username, { expires });
+    this.recordHistory(tx, productId, username, {
+      type: 'refund',
+      days: -days,
+      plan: this.getSubscriptionPlan(subscriptionInfo).id,
+      previousExpires,
+      expires,
+      source
+    });
+
+    return { expires, previousExpires, days };
+  }
+
+  /**
+   * 구독 취소 (문서는 삭제하지 않고 취소 정보를 기록한다)
+   * - 즉시 취소: cancelledAt을 기록하고 바로 사용할 수 없게 한다
+   * - 기간 종료 시 취소(atPeriodEnd): 만료일까지 사용할 수 있고 더 이상 갱신되지 않는다
+   * 취소한 경로(cancelledBy)를 함께 기록하며, 관리자가 한 취소는 이후 클라이언트가 다시 취소해도 관리자 취소로 남는다.
+   * @param {string} username - 사용자명
+   * @param {string} productId - 제품 ID
+   * @param {Object} [options] - 취소 옵션
+   * @param {string} [options.reason] - 취소 사유
+   * @param {boolean} [options.atPeriodEnd] - 기간 종료 시 취소 여부
+   * @param {Object} [options.source] - 변경 경로 (변경 내역에 기록)
+   * @returns {Object} - 결과 (previousExpires, expires: 사용 가능한 기한, 즉시 취소면 null)
+   */
+  async cancelSubscription(username, productId = DEFAULT_PRODUCT_ID, { reason = null, atPeriodEnd = false, source = {} } = {}) {
+    try {
+      const collection = this.getCollectionName(productId);
+
+      const result = await this.store.runTransaction(async tx => {
+        const subscriptionInfo = await tx.get(collection, username);
+
+        if (!subscriptionInfo) {
+          return { success: false, message: "취소할 구독이 없습니다." };
+        }
+
+        if (subscriptionInfo.cancelledAt) {
+          return { success: false, code: 'CANCELLED', message: "이미 취소된 구독입니다." };
+        }
+
+        const now = new Date().toISOString();
+        const cancelReason = reason ? String(reason).substring(0, 500) : null;
+        const cancelledBy = subscriptionInfo.cancelledBy === 'admin' ? 'admin' : (source.channel || 'client');
+
+        if (atPeriodEnd) {
+          if (subscriptionInfo.cancelAtPeriodEnd) {
+            return { success: false, code: 'CANCEL_SCHEDULED', message: "이미 기간 종료 시 취소가 예약된 구독입니다." };
+          }
+
+          tx.update(collection, username, {
+            cancelAtPeriodEnd: true,
+            cancelRequestedAt: now,
+            cancelReason,
+            cancelledBy
+          });
+          this.recordHistory(tx, productId, username, {
+            type: 'cancel_scheduled',
+            plan: this.getSubscriptionPlan(subscriptionInfo).id,
+            previousExpires: normalizeExpiry(subscriptionInfo.expires),
+            expires: normalizeExpiry(subscriptionInfo.expires),
+            source: { ...source, reason: cancelReason }
+          });
+
+          return {
+            success: true,
+            message: "구독이 기간 종료 시 취소되도록 예약되었습니다.",
+            previousExpires: normalizeExpiry(subscriptionInfo.expires),
+            expires: normalizeExpiry(subscriptionInfo.expires)
+          };
+        }
+
+        tx.update(collection, username, {
+          cancelledAt: now,
+          cancelAtPeriodEnd: deleteField(),
+          cancelRequestedAt: subscriptionInfo.cancelRequestedAt || now,
+          cancelReason: cancelReason || subscriptionInfo.cancelReason || null,
+          cancelledBy
+        });
+        this.recordHistory(tx, productId, username, {
+          type: 'cancel',
+          plan: this.getSubscriptionPlan(subscriptionInfo).id,
+          previousExpires: normalizeExpiry(subscriptionInfo.expires),
+          source: { ...source, reason: cancelReason }
+        });
+
+        return { success: true, message: "구독이 취소되었습니다.", previousExpires: normalizeExpiry(subscriptionInfo.expires), expires: null };
+      });
+
+      if (result.success) {
+        await this.recordDailyStat(productId, 'cancellations');
+      }
+
+      return result;
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        logger.warn(`Conflict cancelling ${productId} subscription for ${username}`);
+        return { ...CONFLICT_RESULT };
+      }
+      logger.error(`Error cancelling ${productId} subscription for ${username}: ${error.message}`);
+      return { success: false, message: "구독 취소 중 오류가 발생했습니다." };
+    }
+  }
+
+  /**
+   * 취소된 구독 재활성화
+   * 만료일이 지나지 않은 구독만 취소 상태(즉시 취소, 기간 종료 시 취소 예약 모두)를 지우고 원래 만료일로 복원한다.
+   * 관리자가 취소한 구독은 관리자만 재활성화할 수 있다.
+   * @param {string} username - 사용자명
+   * @param {string} productId - 제품 ID
+   * @param {Object} [options] - 옵션
+   * @param {Object} [options.source] - 변경 경로 (변경 내역에 기록)
+   * @returns {Object} - 결과 (code: NOT_FOUND, NOT_CANCELLED, CANCELLED_BY_ADMIN, EXPIRED, CONFLICT, ERROR / expires)
+   */
+  async reactivateSubscription(username, productId = DEFAULT_PRODUCT_ID, { source = {} } = {}) {
+    try {
+      const collection = this.getCollectionName(productId);
+
+      return await this.store.runTransaction(async tx => {
+        const subscriptionInfo = await tx.get(collection, username);
+
+        if (!subscriptionInfo) {
+          return { success: false, code: 'NOT_FOUND', message: "구독이 없습니다." };
+        }
+
+        if (!subscriptionInfo.cancelledAt && !subscriptionInfo.cancelAtPeriodEnd) {
+          return { success: false, code: 'NOT_CANCELLED', message: "취소되지 않은 구독입니다." };
+        }
+
+        if (subscriptionInfo.cancelledBy === 'admin' && source.channel !== 'admin') {
+          return { success: false, code: 'CANCELLED_BY_ADMIN', message: "관리자가 취소한 구독은 재활성화할 수 없습니다." };
+        }
+
+        if (new Date() > parseExpiry(subscriptionInfo.expires)) {
+          return { success: false, code: 'EXPIRED', message: "만료된 구독은 재활성화할 수 없습니다." };
+        }
+
+        tx.update(collection, username, clearCancellation());
+        this.recordHistory(tx, productId, username, {
+          type: 'reactivate',
+          plan: this.getSubscriptionPlan(subscriptionInfo).id,
+          previousExpires: normalizeExpiry(subscriptionInfo.expires),
+          expires: normalizeExpiry(subscriptionInfo.expires),
+          source
+        });
+
+        return {
+          success: true,
+          message: "구독이 재활성화되었습니다.",
+          expires: normalizeExpiry(subscriptionInfo.expires),
+          previousCancelledAt: subscriptionInfo.cancelledAt || null
+        };
+      });
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        logger.warn(`Conflict reactivating ${productId} subscription for ${username}`);
+        return { ...CONFLICT_RESULT };
+      }
+      logger.error(`Error reactivating ${productId} subscription for ${username}: ${error.message}`);
+      return { success: false, code: 'ERROR', message: "구독 재활성화 중 오류가 발생했습니다." };
+    }
+  }
+
+  // ========================================
+  // 기기 관리 함수들
+  // ========================================
+
+  /**
+   * 구독의 기기 등록 한도 (0이면 무제한)
+   * 구독별 설정(maxDevices) > 요금제 설정 > 제품 설정 > DEFAULT_MAX_DEVICES 순으로 적용
+   * @param {string} productId - 제품 ID
+   * @param {Object} subscriptionInfo - 구독 문서 데이터
+   * @returns {number} - 기기 등록 한도
+   */
+  getDeviceLimit(productId, subscriptionInfo = {}) {
+    if (Number.isInteger(subscriptionInfo.maxDevices)) {
+      return subscriptionInfo.maxDevices;
+    }
+
+    const plan = this.getSubscriptionPlan(subscriptionInfo);
+    if (plan && Number.isInteger(plan.maxDevices)) {
+      return plan.maxDevices;
+    }
+
+    const product = getProduct(productId);
+    if (product && Number.isInteger(product.maxDevices)) {
+      return product.maxDevices;
+    }
+
+    return DEFAULT_MAX_DEVICES;
+  }
+
+  /**
+   * 기기 등록 여부 확인 후 미등록 기기면 한도 내에서 등록
+   * 구독 문서를 읽은 트랜잭션(tx)에 쓰기를 추가한다.
+   * @returns {string} - known(기존 기기), registered(새로 등록), limit(한도 초과)
+   */
+  registerDevice(tx, username, subscriptionInfo, productId, deviceId, deviceName) {
+    const collection = this.getCollectionName(productId);
+    const devices = subscriptionInfo.devices || {};
+    const now = new Date().toISOString();
+
+    if (devices[deviceId]) {
+      tx.update(collection, username, { [`devices.${deviceId}.lastSeenAt`]: now });
+      return 'known';
+    }
+
+    const maxDevices = this.getDeviceLimit(productId, subscriptionInfo);
+    if (maxDevices > 0 && Object.keys(devices).length >= maxDevices) {
+      logger.warn(`[${productId}] Device limit reached for ${username} (${maxDevices})`);
+      return 'limit';
+    }
+
+    tx.update(collection, username, {
+      [`devices.${deviceId}`]: {
+        name: deviceName ? String(deviceName).substring(0, 100) : null,
+        registeredAt: now,
+        lastSeenAt: now
+      }
+    });
+    logger.info(`[${productId}] Device ${deviceId} registered for ${username}`);
+    return 'registered';
+  }
+
+  async listDevices(username, productId = DEFAULT_PRODUCT_ID) {
+    try {
+      const subscriptionInfo = await this.store.get(this.getCollectionName(productId), username);
+
+      if (!subscriptionInfo) {
+        return { success: false, message: "구독이 없습니다." };
+      }
+
+      const devices = Object.entries(subscriptionInfo.devices || {}).map(([deviceId, info]) => ({
+        deviceId,
+        ...info
+      }));
+
+      return {
+        success: true,
+        message: "기기 목록 조회 완료",
+        maxDevices: this.getDeviceLimit(productId, subscriptionInfo),
+        devices
+      };
+    } catch (error) {
+      logger.error(`Error listing ${productId} devices for ${username}: ${error.message}`);
+      return { success: false, message: "기기 목록 조회 중 오류가 발생했습니다." };
+    }
+  }
+
+  async removeDevice(username, deviceId, productId = DEFAULT_PRODUCT_ID) {
+    try {
+      const collection = this.getCollectionName(productId);
+
+      return await this.store.runTransaction(async tx => {
+        const subscriptionInfo = await tx.get(collection, username);
+
+        if (!subscriptionInfo) {
+          return { success: false, message: "구독이 없습니다." };
+        }
+
+        // 경로의 기기 ID가 constructor 등 상속된 속성 이름이어도 등록된 기기로 보지 않도록 자기 속성만 확인한다
+        const devices = subscriptionInfo.devices || {};
+        if (!Object.prototype.hasOwnProperty.call(devices, deviceId)) {
+          return { success: false, message: "등록되지 않은 기기입니다." };
+        }
+
+        tx.update(collection, username, { [`devices.${deviceId}`]: deleteField() });
+        return { success: true, message: "기기 등록이 해제되었습니다." };
+      });
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        logger.warn(`Conflict removing ${productId} device for ${username}`);
+        return { ...CONFLICT_RESULT };
+      }
+      logger.error(`Error removing ${productId} device for ${username}: ${error.message}`);
+      return { success: false, message: "기기 등록 해제 중 오류가 발생했습니다." };
+    }
+  }
+
+  async setDeviceLimit(username, maxDevices, productId = DEFAULT_PRODUCT_ID) {
+    try {
+      const collection = this.getCollectionName(productId);
+
+      return await this.store.runTransaction(async tx => {
+        const subscriptionInfo = await tx.get(collection, username);
+
+        if (!subscriptionInfo) {
+          return { success: false, message: "구독이 없습니다." };
+        }
+
+        // null이면 구독별 설정을 지우고 요금제/제품 기본값을 사용
+        tx.update(collection, username, {
+          maxDevices: maxDevices === null ? deleteField() : maxDevices
+        });
+
+        return {
+          success: true,
+          message: "기기 등록 한도가 변경되었습니다.",
+          maxDevices: maxDevices === null
+            ? this.getDeviceLimit(productId, { ...subscriptionInfo, maxDevices: undefined })
+            : maxDevices
+        };
+      });
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        logger.warn(`Conflict setting ${productId} device limit for ${username}`);
+        return { ...CONFLICT_RESULT };
+      }
+      logger.error(`Error setting ${productId} device limit for ${username}: ${error.message}`);
+      return { success: false, message: "기기 등록 한도 변경 중 오류가 발생했습니다." };
+    }
+  }
+
+  // ========================================
+  // 동시 사용 좌석(세션) 함수들
+  // ========================================
+
+  /**
+   * 구독의 동시 사용 좌석 수 (0이면 무제한)
+   * 구독별 설정(maxSeats) > 요금제 설정 > 제품 설정 > DEFAULT_MAX_SEATS 순으로 적용
+   * @param {string} productId - 제품 ID
+   * @param {Object} subscriptionInfo - 구독 문서 데이터
+   * @returns {number} - 좌석 수
+   */
+  getSeatLimit(productId, subscriptionInfo = {}) {
+    if (Number.isInteger(subscriptionInfo.maxSeats)) {
+      return subscriptionInfo.maxSeats;
+    }
+
+    const plan = this.getSubscriptionPlan(subscriptionInfo);
+    if (plan && Number.isInteger(plan.maxSeats)) {
+      return plan.maxSeats;
+    }
+
+    const product = getProduct(productId);
+    if (product && Number.isInteger(product.maxSeats)) {
+      return product.maxSeats;
+    }
+
+    return DEFAULT_MAX_SEATS;
+  }
+
+  /**
+   * 좌석 세션 시작 (임대 발급)
+   * 같은 기기가 이미 세션을 보유 중이면 기존 세션을 대체한다 (프로그램 비정상 종료 후 재시작 대비).
+   * 좌석 확인과 발급을 한 트랜잭션에서 처리하므로 동시에 시작해도 좌석 수를 넘지 않는다.
+   * @param {string} username - 사용자명
+   * @param {string} productId - 제품 ID
+   * @param {Object} [client] - 클라이언트 정보 (fingerprint)
+   * @returns {Object} - 결과 (sessionId, leaseExpiresAt)
+   */
+  async startSession(username, productId = DEFAULT_PRODUCT_ID, client = {}) {
+    try {
+      const collection = this.getCollectionName(productId);
+      const deviceId = client.fingerprint ? getDeviceId(client.fingerprint) : null;
+
+      const result = await this.store.runTransaction(async tx => {
+        const subscriptionInfo = await tx.get(collection, username);
+
+        if (!subscriptionInfo) {
+          return { success: false, code: 'NOT_FOUND', message: "구독이 없습니다." };
+        }
+
+        const { status } = this.getSubscriptionStatus(productId, subscriptionInfo);
+
+        if (status === 'cancelled') {
+          return { success: false, code: 'CANCELLED', message: "취소된 구독입니다." };
+        }
+
+        if (status === 'expired') {
+          return { success: false, code: 'EXPIRED', message: "구독이 만료되었습니다." };
+        }
+
+        const updates = staleSessionUpdates(subscriptionInfo);
+        const liveSessions = getLiveSessions(subscriptionInfo);
+
+        if (deviceId) {
+          for (const [sessionId, session] of Object.entries(liveSessions)) {
+            if (session.deviceId === deviceId) {
+              updates[`sessions.${sessionId}`] = deleteField();
+              delete liveSessions[sessionId];
+            }
+          }
+        }
+
+        const maxSeats = this.getSeatLimit(productId, subscriptionInfo);
+        const used = Object.keys(liveSessions).length;
+
+        if (maxSeats > 0 && used >= maxSeats) {
+          if (Object.keys(updates).length > 0) {
+            tx.update(collection, username, updates);
+          }
+
+          return {
+            success: false,
+            code: 'SEAT_LIMIT_REACHED',
+            message: "동시 사용 가능한 수를 초과했습니다.",
+            seats: { used, max: maxSeats }
+          };
+        }
+
+        const sessionId = crypto.randomBytes(16).toString('hex');
+        const now = new Date();
+        const leaseExpiresAt = new Date(now.getTime() + SESSION_LEASE_SECONDS * 1000).toISOString();
+
+        updates[`sessions.${sessionId}`] = {
+          deviceId,
+          startedAt: now.toISOString(),
+          lastHeartbeatAt: now.toISOString(),
+          expiresAt: leaseExpiresAt
+        };
+        tx.update(collection, username, updates);
+
+        return {
+          success: true,
+          code: 'ACTIVE',
+          message: "세션이 시작되었습니다.",
+          sessionId,
+          leaseExpiresAt,
+          leaseSeconds: SESSION_LEASE_SECONDS,
+          seats: { used: used + 1, max: maxSeats }
+        };
+      });
+
+      if (result.success) {
+        logger.info(`[${productId}] Seat session ${result.sessionId} started for ${username} (${result.seats.used}/${result.seats.max || '∞'})`);
+      }
+
+      return result;
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        logger.warn(`Conflict starting ${productId} session for ${username}`);
+        return { ...CONFLICT_RESULT };
+      }
+      logger.error(`Error starting ${productId} session for ${username}: ${error.message}`);
+      return { success: false, code: 'ERROR', message: "세션 시작 중 오류가 발생했습니다." };
+    }
+  }
+
+  /**
+   * 좌석 세션 연장 (하트비트)
+   * @param {string} username - 사용자명
+   * @param {string} sessionId - 세션 ID
+   * @param {string} productId - 제품 ID
+   * @returns {Object} - 결과 (leaseExpiresAt)
+   */
+  async heartbeat(username, sessionId, productId = DEFAULT_PRODUCT_ID) {
+    try {
+      const collection = this.getCollectionName(productId);
+
+      return await this.store.runTransaction(async tx => {
+        const subscriptionInfo = await tx.get(collection, username);
+
+        if (!subscriptionInfo) {
+          return { success: false, code: 'NOT_FOUND', message: "구독이 없습니다." };
+        }
+
+        const { status } = this.getSubscriptionStatus(productId, subscriptionInfo);
+
+        if (status === 'cancelled') {
+          return { success: false, code: 'CANCELLED', message: "취소된 구독입니다." };
+        }
+
+        if (status === 'expired') {
+          return { success: false, code: 'EXPIRED', message: "구독이 만료되었습니다." };
+        }
+
+        // 만료된 임대는 다른 클라이언트가 좌석을 가져갔을 수 있으므로 연장하지 않는다
+        if (!hasSession(getLiveSessions(subscriptionInfo), sessionId)) {
+          return { success: false, code: 'SESSION_EXPIRED', message: "세션이 만료되었습니다. 다시 시작해주세요." };
+        }
+
+        const now = new Date();
+        const leaseExpiresAt = new Date(now.getTime() + SESSION_LEASE_SECONDS * 1000).toISOString();
+
+        tx.update(collection, username, {
+          ...staleSessionUpdates(subscriptionInfo),
+          [`sessions.${sessionId}.lastHeartbeatAt`]: now.toISOString(),
+          [`sessions.${sessionId}.expiresAt`]: leaseExpiresAt
+        });
+
+        return {
+          success: true,
+          code: 'ACTIVE',
+          message: "세션이 연장되었습니다.",
+          leaseExpiresAt,
+          leaseSeconds: SESSION_LEASE_SECONDS
+        };
+      });
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        logger.warn(`Conflict extending ${productId} session for ${username}`);
+        return { ...CONFLICT_RESULT };
+      }
+      logger.error(`Error extending ${productId} session for ${username}: ${error.message}`);
+      return { success: false, code: 'ERROR', message: "세션 연장 중 오류가 발생했습니다." };
+    }
+  }
+
+  /**
+   * 좌석 세션 종료 (임대 반납)
+   * @param {string} username - 사용자명
+   * @param {string} sessionId - 세션 ID
+   * @param {string} productId - 제품 ID
+   * @returns {Object} - 결과
+   */
+  async endSession(username, sessionId, productId = DEFAULT_PRODUCT_ID) {
+    try {
+      const collection = this.getCollectionName(productId);
+
+      return await this.store.runTransaction(async tx => {
+        const subscriptionInfo = await tx.get(collection, username);
+
+        if (!subscriptionInfo) {
+          return { success: false, code: 'NOT_FOUND', message: "구독이 없습니다." };
+        }
+
+        const sessions = subscriptionInfo.sessions || {};
+        if (!hasSession(sessions, sessionId)) {
+          return { success: false, code: 'SESSION_EXPIRED', message: "세션이 없습니다." };
+        }
+
+        tx.update(collection, username, { [`sessions.${sessionId}`]: deleteField() });
+        return { success: true, message: "세션이 종료되었습니다." };
+      });
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        logger.warn(`Conflict ending ${productId} session for ${username}`);
+        return { ...CONFLICT_RESULT };
+      }
+      logger.error(`Error ending ${productId} session for ${username}: ${error.message}`);
+      return { success: false, code: 'ERROR', message: "세션 종료 중 오류가 발생했습니다." };
+    }
+  }
+
+  /**
+   * 만료된 좌석 임대 일괄 정리
+   * 문서마다 트랜잭션으로 다시 읽어 정리 중에 시작/연장된 세션은 지우지 않는다.
+   * @param {string} productId - 제품 ID
+   * @returns {number} - 정리된 세션 수
+   */
+  async purgeStaleSessions(productId = DEFAULT_PRODUCT_ID) {
+    const collection = this.getCollectionName(productId);
+    const docs = await this.store.query(collection, { where: [['sessions', '!=', null]] });
+    let purged = 0;
+
+    for (const { id, data } of docs) {
+      if (Object.keys(staleSessionUpdates(data)).length === 0) {
+        continue;
+      }
+
+      purged += await this.store.runTransaction(async tx => {
+        const subscriptionInfo = await tx.get(collection, id);
+        const updates = subscriptionInfo ? staleSessionUpdates(subscriptionInfo) : {};
+        const count = Object.keys(updates).length;
+
+        if (count > 0) {
+          tx.update(collection, id, updates);
+        }
+        return count;
+      });
+    }
+
+    if (purged > 0) {
+      logger.info(`[${productId}] Purged ${purged} stale seat sessions`);
+    }
+
+    return purged;
+  }
+
+  /**
+   * 만료된 구독 표시 (예약 작업)
+   * 유예 기간까지 끝난 구독에 expiredAt을 기록하고 변경 내역(expire)을 남긴다. 다시 구독/갱신하면 expiredAt은 지워진다.
+   * 검증은 만료일로 판단하므로 표시 여부와 관계없이 동작하며, 즉시 취소된 구독은 표시하지 않는다.
+   * 문서마다 트랜잭션으로 다시 읽어 그 사이 갱신된 구독은 표시하지 않는다.
+   * @param {string} productId - 제품 ID
+   * @returns {number} - 표시한 구독 수
+   */
+  async markExpiredSubscriptions(productId = DEFAULT_PRODUCT_ID) {
+    const product = getProduct(productId);
+    const collection = this.getCollectionName(productId);
+    const now = new Date();
+    const from = addDays(now, -((product.gracePeriodDays || 0) + EXPIRE_SWEEP_LOOKBACK_DAYS));
+    const docs = await this.store.query(collection, {
+      where: [
+        ['expires', '>', from.toISOString()],
+        ['expires', '<=', now.toISOString()]
+      ],
+      select: ['expires', 'expiredAt', 'cancelledAt', 'cancelAtPeriodEnd']
+    });
+    let marked = 0;
+
+    for (const { id, data } of docs) {
+      if (data.expiredAt || this.getSubscriptionStatus(productId, data).status !== 'expired') {
+        continue;
+      }
+
+      try {
+        marked += await this.store.runTransaction(async tx => {
+          const subscriptionInfo = await tx.get(collection, id);
+
+          if (!subscriptionInfo || subscriptionInfo.expiredAt ||
+              this.getSubscriptionStatus(productId, subscriptionInfo).status !== 'expired') {
+            return 0;
+          }
+
+          const expires = normalizeExpiry(subscriptionInfo.expires);
+          tx.update(collection, id, { expiredAt: new Date().toISOString() });
+          this.recordHistory(tx, productId, id, {
+            type: 'expire',
+            plan: this.getSubscriptionPlan(subscriptionInfo).id,
+            previousExpires: expires,
+            expires,
+            source: { channel: 'scheduler' }
+          });
+          return 1;
+        });
+      } catch (error) {
+        // 동시에 갱신된 구독은 다음 실행에서 다시 확인한다
+        if (!(error instanceof TransactionConflictError)) {
+          throw error;
+        }
+        logger.warn(`[${productId}] Conflict marking ${id} as expired`);
+      }
+    }
+
+    if (marked > 0) {
+      logger.info(`[${productId}] Marked ${marked} subscriptions as expired`);
+    }
+
+    return marked;
+  }
+
+  // ========================================
+  // 공통 관리 함수들
+  // ========================================
+
+  /**
+   * 구독 목록 조회 (관리자용, 커서 페이지네이션)
+   * 사용자명 검색(q)이 있으면 접두사가 일치하는 문서(최대 PREFIX_SCAN_LIMIT건)를 가져와 메모리에서 필터링/정렬한다.
+   * Firestore는 서로 다른 필드에 범위 조건을 함께 걸 수 없기 때문이다.
+   * @param {string} productId - 제품 ID
+   * @param {Object} [options] - 조회 조건
+   * @param {string} [options.status] - active | expired | expiring
+   * @param {number} [options.days] - expiring 기준 일수
+   * @param {string} [options.q] - 사용자명 접두사
+   * @param {string} [options.order] - 만료일 정렬 방향 (asc | desc)
+   * @param {number} [options.limit] - 페이지 크기
+   * @param {string} [options.cursor] - 이전 응답의 nextCursor
+   * @returns {Object} - 구독 목록과 다음 페이지 커서
+   */
+  async listSubscriptions(productId = DEFAULT_PRODUCT_ID, options = {}) {
+    try {
+      const { status, days = 7, q, order = 'asc', limit = 50 } = options;
+      const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+      const range = getStatusRange(status, days);
+      const collection = this.getCollectionName(productId);
+      let items;
+
+      if (q) {
+        const docs = await this.store.query(collection, {
+          where: [
+            ['username', '>=', q],
+            ['username', '<', `${q}\uf8ff`]
+          ],
+          limit: PREFIX_SCAN_LIMIT
+        });
+
+        items = docs
+          .filter(({ data }) => isInRange(data.expires, range))
+          .sort((a, b) => compareByExpiry(a, b) * (order === 'desc' ? -1 : 1));
+
+        if (cursor) {
+          items = items.filter(item => compareByExpiry(item, cursor) * (order === 'desc' ? -1 : 1) > 0);
+        }
+
+        items = items.slice(0, limit + 1);
+      } else {
+        const where = [];
+
+        if (range.after) {
+          where.push(['expires', '>', range.after]);
+        }
+        if (range.until) {
+          where.push(['expires', '<=', range.until]);
+        }
+
+        items = await this.store.query(collection, {
+          where,
+          orderBy: [['expires', order], [DOCUMENT_ID, order]],
+          startAfter: cursor ? [cursor.data.expires, cursor.id] : null,
+          limit: limit + 1
+        });
+      }
+
+      const hasMore = items.length > limit;
+      const page = items.slice(0, limit);
+      const last = page[page.length - 1];
+
+      return { 
+        success: true,
+        message: "구독 목록 조회 완료", 
+        subscriptions: page.map(({ id, data }) => ({
+          username: id,
+          expires: normalizeExpiry(data.expires),
+          status: this.getSubscriptionStatus(productId, data).status,
+          cancelAtPeriodEnd: data.cancelAtPeriodEnd === true,
+          trial: data.trial === true,
+          plan: this.getSubscriptionPlan(data).id,
+          devices: Object.keys(data.devices || {}).length
+        })),
+        nextCursor: hasMore && last ? encodeCursor(last) : null
+      };
+    } catch (error) {
+      logger.error(`Error listing ${productId} subscriptions: ${error.message}`);
+      return { success: false, message: "구독 목록 조회 중 오류가 발생했습니다." };
+    }
+  }
+
+  /**
+   * 사용자의 구독 변경 내역 (최신순, 커서 페이지네이션)
+   * 첫 구독 조회에 Firestore 복합 색인(type + at 오름차순, 컬렉션 그룹 history)이 필요하다.
+   * @param {string} username - 사용자명
+   * @param {string} productId - 제품 ID
+   * @param {Object} [options] - limit, cursor
+   * @returns {Object} - entries, summary(첫 구독 시각, 갱신 횟수), nextCursor
+   */
+  async getHistory(username, productId = DEFAULT_PRODUCT_ID, { limit = 50, cursor } = {}) {
+    try {
+      const collection = this.getHistoryCollection(productId, username);
+
+      const [docs, first, renewals, total] = await Promise.all([
+        this.store.query(collection, {
+          orderBy: [['at', 'desc'], [DOCUMENT_ID, 'desc']],
+          startAfter: cursor ? JSON.parse(Buffer.from(cursor, 'base64url').toString()) : null,
+          limit: limit + 1
+        }),
+        this.store.query(collection, {
+          where: [['type', '==', 'subscribe']],
+          orderBy: [['at', 'asc']],
+          limit: 1
+        }),
+        this.store.count(collection, { where: [['type', '==', 'renew']] }),
+        this.store.count(collection)
+      ]);
+
+      const page = docs.slice(0, limit);
+      const last = page[page.length - 1];
+
+      return {
+        success: true,
+        message: "구독 변경 내역 조회 완료",
+        summary: {
+          firstSubscribedAt: first.length > 0 ? first[0].data.at : null,
+          renewals,
+          total
+        },
+        entries: page.map(({ id, data }) => ({ id, ...data })),
+        nextCursor: docs.length > limit && last
+          ? Buffer.from(JSON.stringify([last.data.at, last.id])).toString('base64url')
+          : null
+      };
+    } catch (error) {
+      logger.error(`Error loading ${productId} history for ${username}: ${error.message}`);
+      return { success: false, message: "구독 변경 내역 조회 중 오류가 발생했습니다." };
+    }
+  }
+
+  // ========================================
+  // 통계 함수들
+  // ========================================
+
+  /**
+   * 일별 통계 카운터 증가 (stats_daily/{productId}_{YYYY-MM-DD}, 날짜는 업무 시간대 기준)
+   * 통계 기록 실패가 구독 처리를 실패시키지 않도록 오류는 로그만 남긴다.
+   * @param {string} productId - 제품 ID
+   * @param {string} field - subscriptions | trials | renewals | refunds | cancellations
+   */
+  async recordDailyStat(productId, field) {
+    try {
+      const date = formatDate(new Date());
+
+      await this.store.set(STATS_COLLECTION, `${productId}_${date}`, {
+        product: productId,
+        date,
+        [field]: increment(1)
+      }, { merge: true });
+    } catch (error) {
+      logger.error(`Error recording ${productId} ${field} stat: ${error.message}`);
+    }
+  }
+
+  /**
+   * 제품별 구독 현황과 만료 예측
+   * @param {string} productId - 제품 ID
+   * @returns {Object} - total, active, expired, cancelled, expiringIn7Days, expiringIn30Days, forecast(일별 만료 예정 수)
+   */
+  async getSubscriptionStats(productId = DEFAULT_PRODUCT_ID) {
+    const collection = this.getCollectionName(productId);
+    const expiredRange = getStatusRange('expired');
+    const forecastRange = getStatusRange('expiring', 30);
+    const in7Days = getStatusRange('expiring', 7).until;
+
+    const [total, expired, cancelledDocs, forecastDocs] = await Promise.all([
+      this.store.count(collection),
+      this.store.count(collection, { where: [['expires', '<=', expiredRange.until]] }),
+      // 즉시 취소된 구독 (Firestore는 두 필드에 부등호 조건을 함께 걸 수 없으므로 만료일은 메모리에서 거른다)
+      this.store.query(collection, {
+        where: [['cancelledAt', '!=', null]],
+        select: ['expires']
+      }),
+      this.store.query(collection, {
+        where: [
+          ['expires', '>', forecastRange.after],
+          ['expires', '<=', forecastRange.until]
+        ],
+        select: ['expires', 'cancelledAt']
+      })
+    ]);
+
+    // 만료일 전에 즉시 취소된 구독 (만료된 구독은 expired에 포함)
+    const cancelled = cancelledDocs.filter(({ data }) => normalizeExpiry(data.expires) > expiredRange.until).length;
+
+    const forecast = {};
+    let expiringIn7Days = 0;
+    const expiringDocs = forecastDocs.filter(({ data }) => !data.cancelledAt);
+
+    // 만료 예정일은 업무 시간대 기준 날짜로 묶는다
+    expiringDocs.forEach(({ data }) => {
+      const expiry = parseExpiry(data.expires);
+      const date = formatDate(expiry);
+      forecast[date] = (forecast[date] || 0) + 1;
+
+      if (expiry.toISOString() <= in7Days) {
+        expiringIn7Days++;
+      }
+    });
+
+    return {
+      total,
+      active: total - expired - cancelled,
+      expired,
+      cancelled,
+      expiringIn7Days,
+      expiringIn30Days: expiringDocs.length,
+      forecast: Object.keys(forecast).sort().map(date => ({ date, count: forecast[date] }))
+    };
+  }
+
+  /**
+   * 오늘의 구독 현황 스냅샷 저장 (예약 작업, stats_snapshots/{productId}_{YYYY-MM-DD})
+   * 현황은 조회 시점 기준이므로 날짜별로 남겨 추이를 볼 수 있게 한다. 같은 날 다시 실행하면 덮어쓴다.
+   * @param {string} productId - 제품 ID
+   * @returns {Object} - 저장한 스냅샷
+   */
+  async snapshotStats(productId = DEFAULT_PRODUCT_ID) {
+    const { total, active, expired, cancelled, expiringIn7Days, expiringIn30Days } = await this.getSubscriptionStats(productId);
+    const snapshot = {
+      product: productId,
+      date: formatDate(new Date()),
+      takenAt: new Date().toISOString(),
+      total,
+      active,
+      expired,
+      cancelled,
+      expiringIn7Days,
+      expiringIn30Days
+    };
+
+    await this.store.set(SNAPSHOTS_COLLECTION, `${productId}_${snapshot.date}`, snapshot);
+    return snapshot;
+  }
+
+  /**
+   * 기간별 일일 신규 구독/체험/갱신/취소 수
+   * @param {string} productId - 제품 ID
+   * @param {string} from - 시작일 (YYYY-MM-DD)
+   * @param {string} to - 종료일 (YYYY-MM-DD, 포함)
+   * @returns {Object} - daily(일별 수치), totals(기간 합계)
+   */
+  async getDailyStats(productId, from, to) {
+    // 문서 ID가 {productId}_{날짜} 형식이므로 ID 범위로 조회 (복합 색인 불필요)
+    const docs = await this.store.query(STATS_COLLECTION, {
+      where: [
+        [DOCUMENT_ID, '>=', `${productId}_${from}`],
+        [DOCUMENT_ID, '<=', `${productId}_${to}`]
+      ]
+    });
+
+    const totals = { subscriptions: 0, trials: 0, renewals: 0, refunds: 0, cancellations: 0 };
+    const daily = docs.map(({ data }) => {
+      const day = {
+        date: data.date,
+        subscriptions: data.subscriptions || 0,
+        trials: data.trials || 0,
+        renewals: data.renewals || 0,
+        refunds: data.refunds || 0,
+        cancellations: data.cancellations || 0
+      };
+
+      totals.subscriptions += day.subscriptions;
+      totals.trials += day.trials;
+      totals.renewals += day.renewals;
+      totals.refunds += day.refunds;
+      totals.cancellations += day.cancellations;
+      return day;
+    });
+
+    return { daily, totals };
+  }
+}
+
+module.exports = new SubscriptionService();
\ No newline at end of file
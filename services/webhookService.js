@@ -0,0 +1,474 @@
+const crypto = require('crypto');
+const { store, DOCUMENT_ID, deleteField, TransactionConflictError } = require('../storage');
+const authService = require('./authService');
+const { getWebhookEvent } = require('../config/webhookEvents');
+const logger = require('../utils/logger');
+const { addDays } = require('../utils/time');
+
+// 제품별 웹훅 엔드포인트 (url, events, secret, active)
+const ENDPOINTS_COLLECTION = 'webhook_endpoints';
+
+// 보낼 이벤트 (구독 변경과 같은 트랜잭션에서 기록하고, 엔드포인트별 전송 기록으로 나눈 뒤 지운다)
+const EVENTS_COLLECTION = 'webhook_events';
+
+// 전송 기록 ({이벤트 ID}_{엔드포인트 ID}, 다시 보내기는 새 기록)
+const DELIVERIES_COLLECTION = 'webhook_deliveries';
+
+// 실패한 전송을 다시 보내기까지 기다리는 시간 (분, 시도 횟수 순), 모두 실패하면 failed로 남는다
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 360, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// 전송 중 표시 유지 시간 (분), 전송 중에 서버가 종료되면 이 시간 뒤 다시 보낸다
+const SENDING_LEASE_MINUTES = 5;
+
+// 응답 대기 시간 (밀리초)
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// 전송 기록 보관 기간 (일)
+const DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+
+// 한 번에 처리하는 이벤트/전송 수
+const BATCH_SIZE = 100;
+
+// 전송 기록에 남기는 응답 본문 길이
+const RESPONSE_PREVIEW_LENGTH = 500;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * 보내는 웹훅 서비스
+ * 구독 변경 내역을 남길 때(subscriptionService.recordHistory) 같은 트랜잭션에서 이벤트를 기록하고,
+ * 예약 작업(webhook-deliveries)이 이벤트를 구독한 엔드포인트별 전송 기록으로 나눠 보낸다.
+ * 실패하면 RETRY_DELAYS_MINUTES 간격으로 다시 보내며, 관리자가 전송 기록을 다시 보낼 수 있다.
+ *
+ * 요청 본문은 JSON 이벤트({ id, type, createdAt, product, data })이고 다음 헤더를 붙인다.
+ * - X-Webhook-Id: 전송 기록 ID
+ * - X-Webhook-Event: 이벤트 이름
+ * - X-Webhook-Timestamp: 보낸 시각 (Unix 밀리초)
+ * - X-Webhook-Signature: HMAC-SHA256(엔드포인트 secret, "{timestamp}.{본문}") hex
+ */
+class WebhookService {
+  constructor() {
+    this.store = store;
+  }
+
+  /**
+   * 관리자 응답용 엔드포인트 (secret 제외)
+   * @param {string} id - 엔드포인트 ID
+   * @param {Object} data - 엔드포인트 문서 데이터
+   * @returns {Object}
+   */
+  formatEndpoint(id, data) {
+    const { secret, ...endpoint } = data;
+    return { id, ...endpoint };
+  }
+
+  /**
+   * 엔드포인트 등록
+   * @param {string} productId - 제품 ID
+   * @param {Object} endpoint - url, events(이벤트 이름 목록, '*'는 전체), description
+   * @param {string} createdBy - 등록한 관리자
+   * @returns {Object} - 결과 (endpoint, secret: 서명 키, 이 응답에서만 확인할 수 있다)
+   */
+  async createEndpoint(productId, { url, events, description = null }, createdBy) {
+    const id = `whe_${crypto.randomBytes(8).toString('hex')}`;
+    const secret = authService.generateApiSecret();
+    const now = new Date().toISOString();
+    const data = {
+      product: productId,
+      url,
+      events,
+      description,
+      active: true,
+      secret,
+      createdBy,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.set(ENDPOINTS_COLLECTION, id, data);
+    logger.info(`[${productId}] Webhook endpoint ${id} created by ${createdBy}: ${url} (${events.join(', ')})`);
+
+    return { success: true, message: "웹훅 엔드포인트가 등록되었습니다.", endpoint: this.formatEndpoint(id, data), secret };
+  }
+
+  /**
+   * 제품의 엔드포인트 조회
+   * @param {string} productId - 제품 ID
+   * @param {string} id - 엔드포인트 ID
+   * @returns {Object|null} - 엔드포인트 문서 데이터 (다른 제품의 엔드포인트는 null)
+   */
+  async getEndpoint(productId, id) {
+    const endpoint = await this.store.get(ENDPOINTS_COLLECTION, id);
+    return endpoint && endpoint.product === productId ? endpoint : null;
+  }
+
+  /**
+   * 제품의 엔드포인트 목록
+   * @param {string} productId - 제품 ID
+   * @returns {Object[]} - 엔드포인트 목록 (secret 제외)
+   */
+  async listEndpoints(productId) {
+    const docs = await this.store.query(ENDPOINTS_COLLECTION, {
+      where: [['product', '==', productId]]
+    });
+
+    return docs
+      .map(({ id, data }) => this.formatEndpoint(id, data))
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+  }
+
+  /**
+   * 엔드포인트 변경
+   * @param {string} productId - 제품 ID
+   * @param {string} id - 엔드포인트 ID
+   * @param {Object} changes - url, events, description, active, rotateSecret(서명 키 재발급)
+   * @returns {Object} - 결과 (endpoint, 재발급했으면 secret / 실패 code: NOT_FOUND)
+   */
+  async updateEndpoint(productId, id, { rotateSecret = false, ...changes }) {
+    return this.store.runTransaction(async tx => {
+      const endpoint = await tx.get(ENDPOINTS_COLLECTION, id);
+
+      if (!endpoint || endpoint.product !== productId) {
+        return { success: false, code: 'NOT_FOUND', message: "웹훅 엔드포인트를 찾을 수 없습니다." };
+      }
+
+      const updates = { ...changes, updatedAt: new Date().toISOString() };
+      if (rotateSecret) {
+        updates.secret = authService.generateApiSecret();
+      }
+
+      tx.update(ENDPOINTS_COLLECTION, id, updates);
+
+      return {
+        success: true,
+        message: "웹훅 엔드포인트가 변경되었습니다.",
+        endpoint: this.formatEndpoint(id, { ...endpoint, ...updates }),
+        secret: rotateSecret ? updates.secret : undefined
+      };
+    });
+  }
+
+  /**
+   * 엔드포인트 삭제 (보내지 못한 전송은 다음 시도에서 실패로 남는다)
+   * @param {string} productId - 제품 ID
+   * @param {string} id - 엔드포인트 ID
+   * @returns {Object} - 결과 (실패 code: NOT_FOUND)
+   */
+  async deleteEndpoint(productId, id) {
+    if (!await this.getEndpoint(productId, id)) {
+      return { success: false, code: 'NOT_FOUND', message: "웹훅 엔드포인트를 찾을 수 없습니다." };
+    }
+
+    await this.store.delete(ENDPOINTS_COLLECTION, id);
+    logger.info(`[${productId}] Webhook endpoint ${id} deleted`);
+
+    return { success: true, message: "웹훅 엔드포인트가 삭제되었습니다." };
+  }
+
+  /**
+   * 구독 변경 이벤트 기록 (구독 변경 트랜잭션 안에서 호출, 이벤트가 없는 변경 종류는 무시)
+   * @param {Object} tx - 저장소 트랜잭션
+   * @param {string} productId - 제품 ID
+   * @param {string} username - 사용자명
+   * @param {Object} entry - 변경 내역 (type, at, days, plan, previousExpires, expires, source, reason)
+   */
+  enqueue(tx, productId, username, { type, at, ...details }) {
+    const eventType = getWebhookEvent(type);
+
+    if (!eventType) {
+      return;
+    }
+
+    tx.set(EVENTS_COLLECTION, `evt_${crypto.randomBytes(10).toString('hex')}`, {
+      type: eventType,
+      product: productId,
+      createdAt: at,
+      data: { username, ...details }
+    });
+  }
+
+  /**
+   * 기록된 이벤트를 구독한 엔드포인트별 전송 기록으로 나눈다
+   * 이벤트마다 트랜잭션으로 이벤트를 지우며 전송 기록을 만들어 같은 이벤트를 두 번 나누지 않는다.
+   * @returns {number} - 처리한 이벤트 수
+   */
+  async dispatchEvents() {
+    const events = await this.store.query(EVENTS_COLLECTION, {
+      orderBy: [['createdAt', 'asc']],
+      limit: BATCH_SIZE
+    });
+    const endpointsByProduct = {};
+
+    for (const { id, data: event } of events) {
+      if (!endpointsByProduct[event.product]) {
+        endpointsByProduct[event.product] = await this.store.query(ENDPOINTS_COLLECTION, {
+          where: [['product', '==', event.product]]
+        });
+      }
+
+      const endpoints = endpointsByProduct[event.product]
+        .filter(({ data }) => data.active && (data.events.includes('*') || data.events.includes(event.type)));
+      const body = JSON.stringify({ id, type: event.type, createdAt: event.createdAt, product: event.product, data: event.data });
+
+      await this.store.runTransaction(async tx => {
+        if (!await tx.get(EVENTS_COLLECTION, id)) {
+          return;
+        }
+
+        const now = new Date().toISOString();
+        for (const { id: endpointId } of endpoints) {
+          tx.set(DELIVERIES_COLLECTION, `${id}_${endpointId}`, {
+            endpointId,
+            product: event.product,
+            eventId: id,
+            eventType: event.type,
+            body,
+            status: 'pending',
+            attempts: 0,
+            attemptLog: [],
+            createdAt: now,
+            nextAttemptAt: now
+          });
+        }
+        tx.delete(EVENTS_COLLECTION, id);
+      });
+    }
+
+    return events.length;
+  }
+
+  /**
+   * 전송 선점 (다른 실행이 같은 전송을 동시에 보내지 않도록 다음 시도 시각을 미룬다)
+   * @param {string} deliveryId - 전송 기록 ID
+   * @returns {Object|null} - 전송 기록 (보낼 때가 아니거나 끝난 전송이면 null)
+   */
+  async claimDelivery(deliveryId) {
+    try {
+      return await this.store.runTransaction(async tx => {
+        const delivery = await tx.get(DELIVERIES_COLLECTION, deliveryId);
+        const now = new Date();
+
+        if (!delivery || delivery.status !== 'pending' || new Date(delivery.nextAttemptAt) > now) {
+          return null;
+        }
+
+        tx.update(DELIVERIES_COLLECTION, deliveryId, {
+          nextAttemptAt: new Date(now.getTime() + SENDING_LEASE_MINUTES * MINUTE_MS).toISOString()
+        });
+        return delivery;
+      });
+    } catch (error) {
+      if (error instanceof TransactionConflictError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 전송 기록 한 건 보내기
+   * 2xx 응답이면 delivered, 아니면 다음 시도를 예약하고 시도 횟수를 모두 쓰면 failed로 남긴다.
+   * 엔드포인트가 삭제되었거나 비활성화되었으면 보내지 않고 failed로 남긴다.
+   * @param {string} deliveryId - 전송 기록 ID
+   * @returns {string|null} - 결과 상태 (delivered | pending | failed, 보낼 전송이 아니면 null)
+   */
+  async deliver(deliveryId) {
+    const delivery = await this.claimDelivery(deliveryId);
+
+    if (!delivery) {
+      return null;
+    }
+
+    const endpoint = await this.getEndpoint(delivery.product, delivery.endpointId);
+    const startedAt = new Date();
+    const attempt = { at: startedAt.toISOString(), statusCode: null, error: null, durationMs: null };
+    let response = null;
+
+    if (!endpoint || !endpoint.active) {
+      attempt.error = endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted';
+    } else {
+      const timestamp = String(startedAt.getTime());
+
+      try {
+        const res = await fetch(endpoint.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'RainbowRich-Webhooks/1.0',
+            'X-Webhook-Id': deliveryId,
+            'X-Webhook-Event': delivery.eventType,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': authService.generatePayloadSignature(`${timestamp}.${delivery.body}`, endpoint.secret)
+          },
+          body: delivery.body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        attempt.statusCode = res.status;
+        response = (await res.text()).slice(0, RESPONSE_PREVIEW_LENGTH);
+      } catch (error) {
+        attempt.error = error.name === 'TimeoutError' ? `Timed out after ${REQUEST_TIMEOUT_MS}ms` : error.message;
+      }
+    }
+
+    attempt.durationMs = new Date() - startedAt;
+
+    const attempts = delivery.attempts + 1;
+    const delivered = attempt.statusCode >= 200 && attempt.statusCode < 300;
+    const retry = !delivered && endpoint && endpoint.active && attempts < MAX_ATTEMPTS;
+    const status = delivered ? 'delivered' : retry ? 'pending' : 'failed';
+
+    await this.store.update(DELIVERIES_COLLECTION, deliveryId, {
+      status,
+      attempts,
+      attemptLog: [...delivery.attemptLog, attempt],
+      lastAttemptAt: attempt.at,
+      lastStatusCode: attempt.statusCode,
+      lastError: attempt.error,
+      lastResponse: response,
+      nextAttemptAt: retry
+        ? new Date(startedAt.getTime() + RETRY_DELAYS_MINUTES[attempts - 1] * MINUTE_MS).toISOString()
+        : deleteField(),
+      completedAt: retry ? deleteField() : new Date().toISOString()
+    });
+
+    if (!delivered) {
+      logger.warn(`[${delivery.product}] Webhook ${deliveryId} to ${delivery.endpointId} failed ` +
+        `(attempt ${attempts}, ${attempt.statusCode || attempt.error}), ${status}`);
+    }
+
+    return status;
+  }
+
+  /**
+   * 이벤트를 나누고 보낼 때가 된 전송을 보낸다 (예약 작업 webhook-deliveries)
+   * 보낼 시각 조회는 Firestore 단일 필드 색인(nextAttemptAt)을 사용하며, 끝난 전송은 이 필드가 없다.
+   * @returns {Object} - events(나눈 이벤트 수), delivered, retrying, failed
+   */
+  async processPending() {
+    const summary = { events: await this.dispatchEvents(), delivered: 0, retrying: 0, failed: 0 };
+    const due = await this.store.query(DELIVERIES_COLLECTION, {
+      where: [['nextAttemptAt', '<=', new Date().toISOString()]],
+      orderBy: [['nextAttemptAt', 'asc']],
+      select: ['nextAttemptAt'],
+      limit: BATCH_SIZE
+    });
+
+    for (const { id } of due) {
+      const status = await this.deliver(id);
+
+      if (status === 'delivered') {
+        summary.delivered++;
+      } else if (status === 'pending') {
+        summary.retrying++;
+      } else if (status === 'failed') {
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * 엔드포인트의 전송 기록 (최신순, 커서 페이지네이션)
+   * Firestore 복합 색인(endpointId + createdAt 내림차순, 상태 조건을 쓰면 status 포함)이 필요하다.
+   * @param {string} endpointId - 엔드포인트 ID
+   * @param {Object} [options] - status(pending | delivered | failed), limit, cursor
+   * @returns {Object} - deliveries, nextCursor
+   */
+  async listDeliveries(endpointId, { status, limit = 50, cursor } = {}) {
+    const where = [['endpointId', '==', endpointId]];
+
+    if (status) {
+      where.push(['status', '==', status]);
+    }
+
+    const docs = await this.store.query(DELIVERIES_COLLECTION, {
+      where,
+      orderBy: [['createdAt', 'desc'], [DOCUMENT_ID, 'desc']],
+      startAfter: cursor ? JSON.parse(Buffer.from(cursor, 'base64url').toString()) : null,
+      limit: limit + 1
+    });
+
+    const page = docs.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      deliveries: page.map(({ id, data }) => ({ id, ...data, body: JSON.parse(data.body) })),
+      nextCursor: docs.length > limit && last
+        ? Buffer.from(JSON.stringify([last.data.createdAt, last.id])).toString('base64url')
+        : null
+    };
+  }
+
+  /**
+   * 전송 기록 다시 보내기 (같은 본문으로 새 전송 기록을 만들어 바로 보낸다)
+   * @param {string} productId - 제품 ID
+   * @param {string} endpointId - 엔드포인트 ID
+   * @param {string} deliveryId - 원래 전송 기록 ID
+   * @returns {Object} - 결과 (delivery: 새 전송 기록 / 실패 code: NOT_FOUND, ENDPOINT_DISABLED)
+   */
+  async redeliver(productId, endpointId, deliveryId) {
+    const [endpoint, original] = await Promise.all([
+      this.getEndpoint(productId, endpointId),
+      this.store.get(DELIVERIES_COLLECTION, deliveryId)
+    ]);
+
+    if (!endpoint || !original || original.endpointId !== endpointId) {
+      return { success: false, code: 'NOT_FOUND', message: "전송 기록을 찾을 수 없습니다." };
+    }
+    if (!endpoint.active) {
+      return { success: false, code: 'ENDPOINT_DISABLED', message: "비활성화된 웹훅 엔드포인트입니다." };
+    }
+
+    const id = `${original.eventId}_${endpointId}_${crypto.randomBytes(4).toString('hex')}`;
+    const now = new Date().toISOString();
+
+    await this.store.set(DELIVERIES_COLLECTION, id, {
+      endpointId,
+      product: productId,
+      eventId: original.eventId,
+      eventType: original.eventType,
+      body: original.body,
+      status: 'pending',
+      attempts: 0,
+      attemptLog: [],
+      redeliveryOf: deliveryId,
+      createdAt: now,
+      nextAttemptAt: now
+    });
+
+    await this.deliver(id);
+
+    const delivery = await this.store.get(DELIVERIES_COLLECTION, id);
+    return {
+      success: true,
+      message: "웹훅을 다시 보냈습니다.",
+      delivery: { id, ...delivery, body: JSON.parse(delivery.body) }
+    };
+  }
+
+  /**
+   * 보관 기간이 지난 전송 기록 정리 (예약 작업, 아직 보내는 중인 기록은 남긴다)
+   * @returns {number} - 삭제된 기록 수
+   */
+  async purgeDeliveries() {
+    const docs = await this.store.query(DELIVERIES_COLLECTION, {
+      where: [['createdAt', '<=', addDays(new Date(), -DELIVERY_RETENTION_DAYS).toISOString()]],
+      select: ['status']
+    });
+    const expired = docs.filter(({ data }) => data.status !== 'pending');
+
+    await Promise.all(expired.map(({ id }) => this.store.delete(DELIVERIES_COLLECTION, id)));
+
+    if (expired.length > 0) {
+      logger.info(`Purged ${expired.length} webhook deliveries`);
+    }
+
+    return expired.length;
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,15 @@
+/**
+ * 트랜잭션 충돌 오류
+ * 다른 요청이 같은 문서를 동시에 변경해 재시도 횟수 안에 커밋하지 못했을 때 발생한다.
+ */
+class TransactionConflictError extends Error {
+  constructor(message = 'Transaction conflict') {
+    super(message);
+    this.name = 'TransactionConflictError';
+    this.code = 'CONFLICT';
+  }
+}
+
+module.exports = {
+  TransactionConflictError
+};
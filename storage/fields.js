@@ -0,0 +1,40 @@
+// 저장소 공통 상수와 특수 필드 값
+// 각 저장소 구현은 이 값을 자신의 방식으로 변환한다 (Firestore: FieldValue, 메모리: 직접 계산)
+
+// 문서 ID로 정렬/필터링할 때 사용하는 필드 이름
+const DOCUMENT_ID = '__id__';
+
+// 트랜잭션 충돌 시 최대 실행 횟수 (최초 실행 포함)
+const TRANSACTION_MAX_ATTEMPTS = parseInt(process.env.STORAGE_TRANSACTION_ATTEMPTS) || 5;
+
+class FieldDelete {}
+
+class FieldIncrement {
+  constructor(amount) {
+    this.amount = amount;
+  }
+}
+
+/**
+ * update/set(merge)에서 필드를 삭제하는 값
+ */
+function deleteField() {
+  return new FieldDelete();
+}
+
+/**
+ * update/set(merge)에서 숫자 필드를 증가시키는 값
+ * @param {number} amount - 증가량
+ */
+function increment(amount = 1) {
+  return new FieldIncrement(amount);
+}
+
+module.exports = {
+  DOCUMENT_ID,
+  TRANSACTION_MAX_ATTEMPTS,
+  FieldDelete,
+  FieldIncrement,
+  deleteField,
+  increment
+};
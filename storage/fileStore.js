@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const logger = require('../utils/logger');
+
+/**
+ * 로컬 JSON 파일 저장소
+ * 메모리 저장소와 동일하게 동작하고, 쓰기마다 전체 데이터를 파일에 저장한다.
+ * 단일 프로세스 로컬 개발/테스트용이다.
+ */
+class FileStore extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this.name = 'file';
+    this.filePath = path.resolve(filePath);
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    for (const [collection, docs] of Object.entries(data)) {
+      this.collections.set(collection, new Map(Object.entries(docs)));
+    }
+
+    logger.info(`Loaded file store from ${this.filePath}`);
+  }
+
+  persist() {
+    const data = {};
+    for (const [collection, docs] of this.collections) {
+      data[collection] = Object.fromEntries(docs);
+    }
+
+    // 임시 파일에 쓴 뒤 교체해 저장 도중 종료되어도 파일이 깨지지 않게 한다
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = FileStore;
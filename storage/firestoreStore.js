@@ -0,0 +1,206 @@
+const admin = require('firebase-admin');
+const { DOCUMENT_ID, TRANSACTION_MAX_ATTEMPTS, FieldDelete, FieldIncrement } = require('./fields');
+const { TransactionConflictError } = require('./errors');
+const logger = require('../utils/logger');
+
+// Firebase 서비스 계정 필수 환경 변수
+const REQUIRED_ENV_VARS = [
+  'FIREBASE_PROJECT_ID',
+  'FIREBASE_PRIVATE_KEY_ID',
+  'FIREBASE_PRIVATE_KEY',
+  'FIREBASE_CLIENT_EMAIL',
+  'FIREBASE_CLIENT_ID'
+];
+
+/**
+ * 저장소 특수 값을 Firestore FieldValue로 변환
+ */
+function toFirestoreValue(value) {
+  if (value instanceof FieldDelete) {
+    return admin.firestore.FieldValue.delete();
+  }
+  if (value instanceof FieldIncrement) {
+    return admin.firestore.FieldValue.increment(value.amount);
+  }
+  if (value !== null && Object.getPrototypeOf(value) === Object.prototype) {
+    return toFirestoreData(value);
+  }
+  return value;
+}
+
+function toFirestoreData(data) {
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [key, toFirestoreValue(value)])
+  );
+}
+
+function toFieldPath(field) {
+  return field === DOCUMENT_ID ? admin.firestore.FieldPath.documentId() : field;
+}
+
+// gRPC ABORTED: 동시 변경으로 트랜잭션이 중단됨
+const GRPC_ABORTED = 10;
+
+/**
+ * Firestore 트랜잭션을 저장소 인터페이스로 감싼 객체
+ */
+class FirestoreTransaction {
+  constructor(db, transaction) {
+    this.db = db;
+    this.transaction = transaction;
+  }
+
+  async get(collection, id) {
+    const doc = await this.transaction.get(this.db.collection(collection).doc(id));
+    return doc.exists ? doc.data() : null;
+  }
+
+  set(collection, id, data, { merge = false } = {}) {
+    this.transaction.set(this.db.collection(collection).doc(id), toFirestoreData(data), { merge });
+    return this;
+  }
+
+  update(collection, id, changes) {
+    this.transaction.update(this.db.collection(collection).doc(id), toFirestoreData(changes));
+    return this;
+  }
+
+  delete(collection, id) {
+    this.transaction.delete(this.db.collection(collection).doc(id));
+    return this;
+  }
+}
+
+/**
+ * Firestore 저장소 (운영 환경 기본값)
+ */
+class FirestoreStore {
+  constructor() {
+    this.name = 'firestore';
+    this.init();
+  }
+
+  init() {
+    try {
+      // Firebase Admin SDK 초기화 (환경 변수 사용)
+      if (!admin.apps.length) {
+        
+        // 환경 변수에서 Firebase 설정 읽기
+        const firebaseConfig = {
+          type: "service_account",
+          project_id: process.env.FIREBASE_PROJECT_ID,
+          private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
+          private_key: process.env.FIREBASE_PRIVATE_KEY ? 
+            process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : null,
+          client_email: process.env.FIREBASE_CLIENT_EMAIL,
+          client_id: process.env.FIREBASE_CLIENT_ID,
+          auth_uri: "https://accounts.google.com/o/oauth2/auth",
+          token_uri: "https://oauth2.googleapis.com/token",
+          auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
+          client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL,
+          universe_domain: "googleapis.com"
+        };
+
+        // 필수 환경 변수 확인
+        for (const envVar of REQUIRED_ENV_VARS) {
+          if (!process.env[envVar]) {
+            throw new Error(`Missing required environment variable: ${envVar}`);
+          }
+        }
+        
+        admin.initializeApp({
+          credential: admin.credential.cert(firebaseConfig),
+          projectId: process.env.FIREBASE_PROJECT_ID
+        });
+      }
+
+      this.db = admin.firestore();
+      logger.info('Firebase service initialized successfully with environment variables');
+    } catch (error) {
+      logger.error(`Firebase initialization failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  checkEnvironmentVariables() {
+    const missingVars = REQUIRED_ENV_VARS.filter(envVar => !process.env[envVar]);
+    
+    if (missingVars.length > 0) {
+      logger.error(`Missing required environment variables: ${missingVars.join(', ')}`);
+      return false;
+    }
+    
+    return true;
+  }
+
+  async get(collection, id) {
+    const doc = await this.db.collection(collection).doc(id).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async set(collection, id, data, { merge = false } = {}) {
+    await this.db.collection(collection).doc(id).set(toFirestoreData(data), { merge });
+  }
+
+  async update(collection, id, changes) {
+    await this.db.collection(collection).doc(id).update(toFirestoreData(changes));
+  }
+
+  async delete(collection, id) {
+    await this.db.collection(collection).doc(id).delete();
+  }
+
+  async add(collection, data) {
+    const docRef = await this.db.collection(collection).add(toFirestoreData(data));
+    return docRef.id;
+  }
+
+  buildQuery(collection, { where = [], orderBy = [], startAfter = null, limit = null, select = null } = {}) {
+    let query = this.db.collection(collection);
+
+    for (const [field, op, value] of where) {
+      query = query.where(toFieldPath(field), op, value);
+    }
+    for (const [field, direction] of orderBy) {
+      query = query.orderBy(toFieldPath(field), direction);
+    }
+    if (startAfter) {
+      query = query.startAfter(...startAfter);
+    }
+    if (limit !== null) {
+      query = query.limit(limit);
+    }
+    if (select) {
+      query = query.select(...select);
+    }
+
+    return query;
+  }
+
+  async query(collection, options) {
+    const snapshot = await this.buildQuery(collection, options).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+  }
+
+  async count(collection, { where = [] } = {}) {
+    const snapshot = await this.buildQuery(collection, { where }).count().get();
+    return snapshot.data().count;
+  }
+
+  async runTransaction(fn, { maxAttempts = TRANSACTION_MAX_ATTEMPTS } = {}) {
+    try {
+      // 충돌 시 재시도는 Firestore SDK가 처리한다
+      return await this.db.runTransaction(
+        transaction => fn(new FirestoreTransaction(this.db, transaction)),
+        { maxAttempts }
+      );
+    } catch (error) {
+      if (error.code === GRPC_ABORTED) {
+        throw new TransactionConflictError(`Transaction failed after ${maxAttempts} attempts: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = FirestoreStore;
@@ -0,0 +1,51 @@
+const logger = require('../utils/logger');
+const { DOCUMENT_ID, deleteField, increment } = require('./fields');
+const { TransactionConflictError } = require('./errors');
+
+/**
+ * STORAGE_BACKEND 설정에 따라 저장소 생성
+ * - firestore (기본값): Firebase Firestore
+ * - memory: 메모리 (재시작하면 초기화)
+ * - file: 로컬 JSON 파일 (STORAGE_FILE, 기본값 ./data/store.json)
+ *
+ * 모든 저장소는 같은 인터페이스를 제공한다:
+ * get, set, update, delete, add, query, count, runTransaction
+ *
+ * runTransaction(fn)은 fn(tx)를 원자적으로 실행한다.
+ * tx.get으로 읽은 문서가 커밋 전에 변경되면 fn을 다시 실행하고,
+ * 재시도 횟수(STORAGE_TRANSACTION_ATTEMPTS)를 넘기면 TransactionConflictError를 던진다.
+ * Firestore와 동일하게 모든 tx.get은 tx.set/update/delete보다 먼저 호출해야 하며,
+ * fn은 재실행될 수 있으므로 트랜잭션 밖의 상태를 변경하면 안 된다.
+ */
+function createStore() {
+  const backend = process.env.STORAGE_BACKEND || 'firestore';
+
+  switch (backend) {
+    case 'firestore': {
+      const FirestoreStore = require('./firestoreStore');
+      return new FirestoreStore();
+    }
+    case 'memory': {
+      const MemoryStore = require('./memoryStore');
+      logger.warn('Using in-memory storage, data will be lost on restart');
+      return new MemoryStore();
+    }
+    case 'file': {
+      const FileStore = require('./fileStore');
+      return new FileStore(process.env.STORAGE_FILE || './data/store.json');
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+const store = createStore();
+logger.info(`Storage backend: ${store.name}`);
+
+module.exports = {
+  store,
+  DOCUMENT_ID,
+  deleteField,
+  increment,
+  TransactionConflictError
+};
@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const { DOCUMENT_ID, TRANSACTION_MAX_ATTEMPTS, FieldDelete, FieldIncrement } = require('./fields');
+const { TransactionConflictError } = require('./errors');
+const logger = require('../utils/logger');
+
+/**
+ * 필드 경로(a.b.c)로 값 읽기
+ */
+function getField(data, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * 객체의 한 키에 값 쓰기 (특수 값 처리 포함)
+ */
+function applyValue(target, key, value) {
+  if (value instanceof FieldDelete) {
+    delete target[key];
+  } else if (value instanceof FieldIncrement) {
+    target[key] = (typeof target[key] === 'number' ? target[key] : 0) + value.amount;
+  } else {
+    target[key] = isPlainObject(value) ? mergeInto({}, value) : structuredClone(value);
+  }
+}
+
+/**
+ * 필드 경로(a.b.c)에 값 쓰기 (update용)
+ */
+function setField(data, field, value) {
+  const keys = field.split('.');
+  const last = keys.pop();
+  let target = data;
+
+  for (const key of keys) {
+    if (typeof target[key] !== 'object' || target[key] === null) {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+
+  applyValue(target, last, value);
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+    !(value instanceof FieldDelete) && !(value instanceof FieldIncrement);
+}
+
+/**
+ * set(merge)용 깊은 병합 (Firestore와 동일하게 중첩 객체는 병합, 그 외 값은 덮어쓰기)
+ * 키에 점(.)이 있어도 경로로 해석하지 않는다.
+ */
+function mergeInto(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      applyValue(target, key, value);
+    }
+  }
+  return target;
+}
+
+function compareValues(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === undefined || a === null) {
+    return -1;
+  }
+  if (b === undefined || b === null) {
+    return 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function matches(value, op, expected) {
+  // Firestore와 동일하게 필드가 없는 문서는 어떤 조건에도 일치하지 않는다
+  if (value === undefined) {
+    return false;
+  }
+
+  switch (op) {
+    case '==':
+      return value === expected;
+    case '!=':
+      return value !== expected;
+    case '<':
+      return compareValues(value, expected) < 0;
+    case '<=':
+      return compareValues(value, expected) <= 0;
+    case '>':
+      return compareValues(value, expected) > 0;
+    case '>=':
+      return compareValues(value, expected) >= 0;
+    default:
+      throw new Error(`Unsupported operator: ${op}`);
+  }
+}
+
+/**
+ * 메모리 저장소 트랜잭션
+ * 읽은 문서의 버전을 기록해 두고, 쓰기는 모아 두었다가 커밋할 때 한 번에 적용한다.
+ */
+class MemoryTransaction {
+  constructor(store) {
+    this.store = store;
+    this.reads = new Map();
+    this.writes = [];
+  }
+
+  async get(collection, id) {
+    if (this.writes.length > 0) {
+      throw new Error('Transaction reads must be executed before all writes');
+    }
+
+    const key = this.store.getVersionKey(collection, id);
+    if (!this.reads.has(key)) {
+      this.reads.set(key, this.store.versions.get(key) || 0);
+    }
+
+    return this.store.get(collection, id);
+  }
+
+  set(collection, id, data, options) {
+    this.writes.push({ type: 'set', collection, id, data, options });
+    return this;
+  }
+
+  update(collection, id, changes) {
+    this.writes.push({ type: 'update', collection, id, changes });
+    return this;
+  }
+
+  delete(collection, id) {
+    this.writes.push({ type: 'delete', collection, id });
+    return this;
+  }
+
+  /**
+   * 읽은 문서가 그대로이면 쓰기를 적용한다 (동기 실행이므로 중간에 다른 요청이 끼어들 수 없다)
+   * @returns {boolean} - 커밋 성공 여부
+   */
+  commit() {
+    for (const [key, version] of this.reads) {
+      if ((this.store.versions.get(key) || 0) !== version) {
+        return false;
+      }
+    }
+
+    // 일부만 적용되는 일이 없도록 없는 문서에 대한 update를 먼저 확인
+    const exists = new Map();
+    for (const { type, collection, id } of this.writes) {
+      const key = this.store.getVersionKey(collection, id);
+      const found = exists.has(key) ? exists.get(key) : this.store.getCollection(collection).has(id);
+
+      if (type === 'update' && !found) {
+        throw new Error(`No document to update: ${collection}/${id}`);
+      }
+      exists.set(key, type !== 'delete');
+    }
+
+    for (const write of this.writes) {
+      if (write.type === 'set') {
+        this.store.applySet(write.collection, write.id, write.data, write.options);
+      } else if (write.type === 'update') {
+        this.store.applyUpdate(write.collection, write.id, write.changes);
+      } else {
+        this.store.applyDelete(write.collection, write.id);
+      }
+    }
+
+    if (this.writes.length > 0) {
+      this.store.persist();
+    }
+
+    return true;
+  }
+}
+
+/**
+ * 메모리 저장소
+ * 테스트와 로컬 개발용이며, 프로세스가 종료되면 데이터가 사라진다.
+ */
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.collections = new Map();
+    // 문서별 변경 횟수 (트랜잭션 충돌 감지용)
+    this.versions = new Map();
+  }
+
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  getVersionKey(collection, id) {
+    return `${collection}/${id}`;
+  }
+
+  bumpVersion(collection, id) {
+    const key = this.getVersionKey(collection, id);
+    this.versions.set(key, (this.versions.get(key) || 0) + 1);
+  }
+
+  /**
+   * 쓰기 후 호출된다 (파일 저장소가 재정의)
+   */
+  persist() {}
+
+  applySet(collection, id, data, { merge = false } = {}) {
+    const docs = this.getCollection(collection);
+    const current = docs.get(id);
+
+    docs.set(id, merge && current ? mergeInto(current, data) : mergeInto({}, data));
+    this.bumpVersion(collection, id);
+  }
+
+  applyUpdate(collection, id, changes) {
+    const current = this.getCollection(collection).get(id);
+
+    if (!current) {
+      throw new Error(`No document to update: ${collection}/${id}`);
+    }
+
+    for (const [field, value] of Object.entries(changes)) {
+      setField(current, field, value);
+    }
+    this.bumpVersion(collection, id);
+  }
+
+  applyDelete(collection, id) {
+    this.getCollection(collection).delete(id);
+    this.bumpVersion(collection, id);
+  }
+
+  async get(collection, id) {
+    const data = this.getCollection(collection).get(id);
+    return data ? structuredClone(data) : null;
+  }
+
+  async set(collection, id, data, options) {
+    this.applySet(collection, id, data, options);
+    this.persist();
+  }
+
+  async update(collection, id, changes) {
+    this.applyUpdate(collection, id, changes);
+    this.persist();
+  }
+
+  async delete(collection, id) {
+    this.applyDelete(collection, id);
+    this.persist();
+  }
+
+  async add(collection, data) {
+    const id = crypto.randomBytes(10).toString('hex');
+    await this.set(collection, id, data);
+    return id;
+  }
+
+  async query(collection, { where = [], orderBy = [], startAfter = null, limit = null, select = null } = {}) {
+    let docs = Array.from(this.getCollection(collection).entries())
+      .map(([id, data]) => ({ id, data }))
+      .filter(doc => where.every(([field, op, value]) => matches(readField(doc, field), op, value)));
+
+    // 정렬 필드가 같으면 문서 ID 순 (Firestore 기본 동작)
+    const order = orderBy.some(([field]) => field === DOCUMENT_ID)
+      ? orderBy
+      : [...orderBy, [DOCUMENT_ID, orderBy.length > 0 ? orderBy[orderBy.length - 1][1] : 'asc']];
+
+    const compare = (a, b) => {
+      for (const [field, direction] of order) {
+        const result = compareValues(readField(a, field), readField(b, field));
+        if (result !== 0) {
+          return direction === 'desc' ? -result : result;
+        }
+      }
+      return 0;
+    };
+
+    docs.sort(compare);
+
+    // Firestore와 마찬가지로 정렬 필드가 없는 문서는 결과에서 제외
+    docs = docs.filter(doc => orderBy.every(([field]) => readField(doc, field) !== undefined));
+
+    if (startAfter) {
+      const cursor = order.slice(0, startAfter.length);
+      docs = docs.filter(doc => {
+        for (let i = 0; i < cursor.length; i++) {
+          const [field, direction] = cursor[i];
+          const result = compareValues(readField(doc, field), startAfter[i]);
+          if (result !== 0) {
+            return direction === 'desc' ? result < 0 : result > 0;
+          }
+        }
+        return false;
+      });
+    }
+
+    if (limit !== null) {
+      docs = docs.slice(0, limit);
+    }
+
+    return docs.map(({ id, data }) => ({
+      id,
+      data: select ? pick(data, select) : structuredClone(data)
+    }));
+  }
+
+  async count(collection, { where = [] } = {}) {
+    return (await this.query(collection, { where, select: [] })).length;
+  }
+
+  async runTransaction(fn, { maxAttempts = TRANSACTION_MAX_ATTEMPTS } = {}) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const tx = new MemoryTransaction(this);
+      const result = await fn(tx);
+
+      if (tx.commit()) {
+        return result;
+      }
+
+      logger.warn(`Transaction conflict, retrying (${attempt}/${maxAttempts})`);
+
+      // 동시에 재시도한 요청끼리 다시 충돌하지 않도록 무작위로 잠시 대기
+      await new Promise(resolve => setTimeout(resolve, Math.random() * 10 * attempt));
+    }
+
+    throw new TransactionConflictError(`Transaction failed after ${maxAttempts} attempts`);
+  }
+}
+
+function readField(doc, field) {
+  return field === DOCUMENT_ID ? doc.id : getField(doc.data, field);
+}
+
+function pick(data, fields) {
+  const result = {};
+  for (const field of fields) {
+    const value = getField(data, field);
+    if (value !== undefined) {
+      setField(result, field, structuredClone(value));
+    }
+  }
+  return result;
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,119 @@
+const express = require('express');
+
+const { idempotent } = require('../middleware/idempotency');
+
+describe('idempotent', () => {
+  let server;
+  let baseUrl;
+  let handler;
+  let calls;
+
+  beforeAll(done => {
+    const app = express();
+    app.use(express.json());
+    app.post('/renew', idempotent('test.renew'), (req, res) => {
+      calls++;
+      return handler(req, res);
+    });
+
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    calls = 0;
+    handler = (req, res) => res.json({ success: true, call: calls });
+  });
+
+  async function post(body, key) {
+    const headers = { 'content-type': 'application/json' };
+    if (key !== undefined) {
+      headers['Idempotency-Key'] = key;
+    }
+
+    const response = await fetch(`${baseUrl}/renew`, { method: 'POST', headers, body: JSON.stringify(body) });
+    return { status: response.status, replayed: response.headers.get('Idempotent-Replayed'), body: await response.json() };
+  }
+
+  test('같은 키로 다시 보낸 요청에는 처음 응답을 돌려준다', async () => {
+    const first = await post({ username: 'user@example.com', days: 30 }, 'key-replay');
+    const second = await post({ username: 'user@example.com', days: 30 }, 'key-replay');
+
+    expect(calls).toBe(1);
+    expect(second.status).toBe(first.status);
+    expect(second.body).toEqual(first.body);
+    expect(second.replayed).toBe('true');
+  });
+
+  test('키가 없으면 매번 처리한다', async () => {
+    await post({ username: 'user@example.com' });
+    await post({ username: 'user@example.com' });
+
+    expect(calls).toBe(2);
+  });
+
+  test('같은 키를 다른 요청 본문에 쓰면 422로 거부한다', async () => {
+    await post({ username: 'user@example.com', days: 30 }, 'key-mismatch');
+    const reused = await post({ username: 'user@example.com', days: 60 }, 'key-mismatch');
+
+    expect(calls).toBe(1);
+    expect(reused.status).toBe(422);
+    expect(reused.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('같은 키는 사용자마다 따로 기록한다', async () => {
+    await post({ username: 'a@example.com' }, 'key-shared');
+    await post({ username: 'b@example.com' }, 'key-shared');
+
+    expect(calls).toBe(2);
+  });
+
+  test('처리 중인 키로 들어온 요청은 409로 거부한다', async () => {
+    let finish;
+    handler = (req, res) => new Promise(resolve => {
+      finish = () => resolve(res.json({ success: true }));
+    });
+
+    const first = post({ username: 'user@example.com' }, 'key-pending');
+    while (!finish) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const concurrent = await post({ username: 'user@example.com' }, 'key-pending');
+    finish();
+
+    expect(concurrent.status).toBe(409);
+    expect(concurrent.body.code).toBe('IDEMPOTENCY_IN_PROGRESS');
+    expect((await first).status).toBe(200);
+    expect(calls).toBe(1);
+  });
+
+  test('변경이 적용되지 않은 응답은 저장하지 않고 다시 처리한다', async () => {
+    handler = (req, res) => res.status(409).json({ success: false, code: 'CONFLICT' });
+    const failed = await post({ username: 'user@example.com' }, 'key-retry');
+
+    handler = (req, res) => res.json({ success: calls > 2, call: calls });
+    const declined = await post({ username: 'user@example.com' }, 'key-retry');
+    const retried = await post({ username: 'user@example.com' }, 'key-retry');
+    const replayed = await post({ username: 'user@example.com' }, 'key-retry');
+
+    expect(failed.status).toBe(409);
+    expect(declined.body.success).toBe(false);
+    expect(retried.body).toEqual({ success: true, call: 3 });
+    expect(replayed.body).toEqual(retried.body);
+    expect(calls).toBe(3);
+  });
+
+  test('형식이 잘못된 키는 400으로 거부한다', async () => {
+    const tooLong = await post({ username: 'user@example.com' }, 'k'.repeat(256));
+
+    expect(tooLong.status).toBe(400);
+    expect(calls).toBe(0);
+  });
+});
@@ -0,0 +1,133 @@
+const MemoryStore = require('../storage/memoryStore');
+const { TransactionConflictError } = require('../storage/errors');
+const { deleteField, increment } = require('../storage/fields');
+
+describe('MemoryStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+  });
+
+  test('저장한 문서는 복사본으로 돌려준다', async () => {
+    await store.set('docs', 'a', { nested: { value: 1 } });
+
+    const doc = await store.get('docs', 'a');
+    doc.nested.value = 2;
+
+    expect(await store.get('docs', 'a')).toEqual({ nested: { value: 1 } });
+  });
+
+  test('update는 필드 경로와 특수 값을 처리한다', async () => {
+    await store.set('docs', 'a', { count: 1, remove: true, nested: { keep: 1 } });
+    await store.update('docs', 'a', { count: increment(2), remove: deleteField(), 'nested.added': 2 });
+
+    expect(await store.get('docs', 'a')).toEqual({ count: 3, nested: { keep: 1, added: 2 } });
+  });
+
+  describe('runTransaction', () => {
+    test('쓰기는 커밋할 때 한 번에 적용한다', async () => {
+      await store.set('docs', 'a', { value: 1 });
+
+      const result = await store.runTransaction(async tx => {
+        const doc = await tx.get('docs', 'a');
+        tx.update('docs', 'a', { value: doc.value + 1 });
+        tx.set('docs', 'b', { value: doc.value });
+
+        expect(await store.get('docs', 'b')).toBeNull();
+        return doc.value;
+      });
+
+      expect(result).toBe(1);
+      expect(await store.get('docs', 'a')).toEqual({ value: 2 });
+      expect(await store.get('docs', 'b')).toEqual({ value: 1 });
+    });
+
+    test('읽은 문서가 중간에 바뀌면 다시 실행한다', async () => {
+      await store.set('docs', 'a', { value: 1 });
+      let attempts = 0;
+
+      await store.runTransaction(async tx => {
+        attempts++;
+        const doc = await tx.get('docs', 'a');
+
+        if (attempts === 1) {
+          await store.update('docs', 'a', { value: 10 });
+        }
+
+        tx.update('docs', 'a', { value: doc.value + 1 });
+      });
+
+      expect(attempts).toBe(2);
+      expect(await store.get('docs', 'a')).toEqual({ value: 11 });
+    });
+
+    test('동시에 실행한 증가가 모두 반영된다', async () => {
+      await store.set('docs', 'a', { value: 0 });
+
+      await Promise.all(Array.from({ length: 3 }, () => store.runTransaction(async tx => {
+        const doc = await tx.get('docs', 'a');
+        await new Promise(resolve => setImmediate(resolve));
+        tx.update('docs', 'a', { value: doc.value + 1 });
+      }, { maxAttempts: 10 })));
+
+      expect(await store.get('docs', 'a')).toEqual({ value: 3 });
+    });
+
+    test('재시도 횟수를 넘기면 TransactionConflictError를 던진다', async () => {
+      await store.set('docs', 'a', { value: 1 });
+      let attempts = 0;
+
+      const run = store.runTransaction(async tx => {
+        attempts++;
+        await tx.get('docs', 'a');
+        await store.update('docs', 'a', { value: increment(1) });
+        tx.update('docs', 'a', { value: 0 });
+      }, { maxAttempts: 2 });
+
+      await expect(run).rejects.toBeInstanceOf(TransactionConflictError);
+      expect(attempts).toBe(2);
+      expect(await store.get('docs', 'a')).toEqual({ value: 3 });
+    });
+
+    test('없던 문서를 읽은 뒤 다른 요청이 만들면 충돌로 본다', async () => {
+      let attempts = 0;
+
+      await store.runTransaction(async tx => {
+        attempts++;
+        const doc = await tx.get('docs', 'a');
+
+        if (attempts === 1) {
+          await store.set('docs', 'a', { owner: 'other' });
+        }
+
+        if (!doc) {
+          tx.set('docs', 'a', { owner: 'me' });
+        }
+      });
+
+      expect(attempts).toBe(2);
+      expect(await store.get('docs', 'a')).toEqual({ owner: 'other' });
+    });
+
+    test('쓰기 뒤에 읽으면 오류를 던진다', async () => {
+      const run = store.runTransaction(async tx => {
+        tx.set('docs', 'a', { value: 1 });
+        await tx.get('docs', 'b');
+      });
+
+      await expect(run).rejects.toThrow('Transaction reads must be executed before all writes');
+      expect(await store.get('docs', 'a')).toBeNull();
+    });
+
+    test('없는 문서를 update하면 아무 쓰기도 적용하지 않는다', async () => {
+      const run = store.runTransaction(async tx => {
+        tx.set('docs', 'a', { value: 1 });
+        tx.update('docs', 'missing', { value: 1 });
+      });
+
+      await expect(run).rejects.toThrow('No document to update: docs/missing');
+      expect(await store.get('docs', 'a')).toBeNull();
+    });
+  });
+});
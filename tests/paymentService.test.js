@@ -0,0 +1,143 @@
+const { store } = require('../storage');
+const paymentService = require('../services/paymentService');
+const subscriptionService = require('../services/subscriptionService');
+const { getPaymentProvider, hmac } = require('../services/paymentProviders');
+const { parseExpiry } = require('../utils/time');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let sequence = 0;
+
+function paidEvent(username, items = [{ sku: 'rainbowrich-basic-1m' }]) {
+  sequence++;
+  return { id: `evt_paid_${sequence}`, type: 'paid', orderId: `order_${sequence}`, username, items };
+}
+
+function refundEvent(orderId) {
+  sequence++;
+  return { id: `evt_refund_${sequence}`, type: 'refunded', orderId };
+}
+
+async function getExpiry(username, productId = 'rainbowrich') {
+  const subscription = await store.get(subscriptionService.getCollectionName(productId), username);
+  return subscription ? parseExpiry(subscription.expires).getTime() : null;
+}
+
+describe('paymentService.handleEvent', () => {
+  test('결제 완료 이벤트로 상품 기간을 지급한다', async () => {
+    const before = Date.now();
+    const result = await paymentService.handleEvent('fake', paidEvent('paid@example.com'));
+
+    expect(result.code).toBe('PROCESSED');
+    expect(result.changes).toEqual([expect.objectContaining({ product: 'rainbowrich', plan: 'basic', days: 30 })]);
+    expect(await getExpiry('paid@example.com')).toBeGreaterThanOrEqual(before + 29 * DAY_MS);
+  });
+
+  test('같은 이벤트가 다시 오면 한 번만 지급한다', async () => {
+    const event = paidEvent('dup-event@example.com');
+
+    await paymentService.handleEvent('fake', event);
+    const expiry = await getExpiry('dup-event@example.com');
+    const again = await paymentService.handleEvent('fake', { ...event });
+
+    expect(again.code).toBe('DUPLICATE');
+    expect(await getExpiry('dup-event@example.com')).toBe(expiry);
+  });
+
+  test('같은 주문의 다른 결제 완료 이벤트는 지급하지 않는다', async () => {
+    const event = paidEvent('dup-order@example.com');
+
+    await paymentService.handleEvent('fake', event);
+    const expiry = await getExpiry('dup-order@example.com');
+    const again = await paymentService.handleEvent('fake', { ...event, id: `${event.id}_retry` });
+
+    expect(again.code).toBe('DUPLICATE');
+    expect(await getExpiry('dup-order@example.com')).toBe(expiry);
+  });
+
+  test('동시에 도착한 같은 이벤트도 한 번만 지급한다', async () => {
+    const event = paidEvent('concurrent@example.com');
+
+    const results = await Promise.all([
+      paymentService.handleEvent('fake', event),
+      paymentService.handleEvent('fake', { ...event })
+    ]);
+
+    expect(results.map(result => result.code).sort()).toEqual(['DUPLICATE', 'PROCESSED']);
+  });
+
+  test('환불되면 지급한 기간을 회수하고 다시 회수하지 않는다', async () => {
+    const event = paidEvent('refund@example.com', [{ sku: 'rainbowrich-basic-1m', quantity: 2 }]);
+
+    await paymentService.handleEvent('fake', event);
+    const paidExpiry = await getExpiry('refund@example.com');
+
+    const refund = await paymentService.handleEvent('fake', refundEvent(event.orderId));
+    expect(refund.code).toBe('PROCESSED');
+    expect(refund.changes).toEqual([expect.objectContaining({ mode: 'refund', days: 60 })]);
+
+    const refundedExpiry = await getExpiry('refund@example.com');
+    expect(paidExpiry - refundedExpiry).toBeGreaterThanOrEqual(59 * DAY_MS);
+
+    const again = await paymentService.handleEvent('fake', refundEvent(event.orderId));
+    expect(again.code).toBe('DUPLICATE');
+    expect(await getExpiry('refund@example.com')).toBe(refundedExpiry);
+  });
+
+  test('결제 완료보다 먼저 도착한 환불은 주문을 막아 나중에 지급하지 않는다', async () => {
+    const event = paidEvent('early-refund@example.com');
+
+    const refund = await paymentService.handleEvent('fake', refundEvent(event.orderId));
+    expect(refund.code).toBe('PROCESSED');
+    expect(refund.changes).toEqual([]);
+
+    const paid = await paymentService.handleEvent('fake', event);
+    expect(paid.code).toBe('DUPLICATE');
+    expect(await getExpiry('early-refund@example.com')).toBeNull();
+  });
+
+  test('부분 환불은 기간을 바꾸지 않고 기록만 한다', async () => {
+    const event = paidEvent('partial@example.com');
+
+    await paymentService.handleEvent('fake', event);
+    const expiry = await getExpiry('partial@example.com');
+    const partial = await paymentService.handleEvent('fake', { id: `${event.id}_partial`, type: 'partial_refund', orderId: event.orderId });
+
+    expect(partial.code).toBe('IGNORED');
+    expect(await getExpiry('partial@example.com')).toBe(expiry);
+  });
+
+  test('등록되지 않은 상품이나 형식이 잘못된 이벤트는 거부한다', async () => {
+    const unknown = await paymentService.handleEvent('fake', paidEvent('unknown@example.com', [{ sku: 'missing-sku' }]));
+    const invalid = await paymentService.handleEvent('fake', { ...paidEvent('invalid@example.com'), id: 'bad id/1' });
+
+    expect(unknown.code).toBe('UNKNOWN_ITEM');
+    expect(invalid.code).toBe('INVALID_EVENT');
+    expect(await getExpiry('unknown@example.com')).toBeNull();
+  });
+});
+
+describe('fake 결제 서비스 서명', () => {
+  const secretEnv = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+
+  beforeAll(() => {
+    process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'fake-secret';
+  });
+
+  afterAll(() => {
+    if (secretEnv === undefined) {
+      delete process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+    } else {
+      process.env.FAKE_PAYMENT_WEBHOOK_SECRET = secretEnv;
+    }
+  });
+
+  test('본문 HMAC이 맞는 웹훅만 받는다', () => {
+    const provider = getPaymentProvider('fake');
+    const rawBody = Buffer.from(JSON.stringify({ id: 'evt_1', type: 'payment.paid', orderId: 'order_1' }));
+
+    expect(provider.verify(rawBody, { 'x-fake-signature': hmac('fake-secret', rawBody, 'hex') }, provider.secret)).toBe(true);
+    expect(provider.verify(rawBody, { 'x-fake-signature': hmac('other-secret', rawBody, 'hex') }, provider.secret)).toBe(false);
+    expect(provider.verify(rawBody, {}, provider.secret)).toBe(false);
+  });
+});
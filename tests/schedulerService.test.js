@@ -0,0 +1,132 @@
+const { store } = require('../storage');
+const schedulerService = require('../services/schedulerService');
+
+const JOBS_COLLECTION = 'scheduler_jobs';
+const MINUTE_MS = 60 * 1000;
+
+// 같은 저장소를 쓰는 다른 서버 인스턴스
+const otherInstance = new schedulerService.constructor();
+
+let sequence = 0;
+
+function registerJob(options = {}) {
+  const job = {
+    name: `test-job-${++sequence}`,
+    description: '테스트 작업',
+    intervalMinutes: 60,
+    run: async () => ({ processed: 1 }),
+    ...options
+  };
+
+  schedulerService.register(job);
+  otherInstance.register(job);
+  return job.name;
+}
+
+function getState(name) {
+  return store.get(JOBS_COLLECTION, name);
+}
+
+describe('schedulerService 잠금', () => {
+  test('잠금을 가진 인스턴스가 있으면 다른 인스턴스는 선점하지 못한다', async () => {
+    const name = registerJob();
+    const now = new Date();
+
+    expect((await schedulerService.acquire(schedulerService.jobs.get(name), now, false)).acquired).toBe(true);
+    expect((await otherInstance.acquire(otherInstance.jobs.get(name), now, true)).acquired).toBe(false);
+    expect((await getState(name)).lockedBy).toBe(schedulerService.instanceId);
+  });
+
+  test('잠금이 만료되면 다른 인스턴스가 선점할 수 있다', async () => {
+    const name = registerJob();
+
+    await schedulerService.acquire(schedulerService.jobs.get(name), new Date(), false);
+    const later = new Date(Date.now() + 16 * MINUTE_MS);
+
+    expect((await otherInstance.acquire(otherInstance.jobs.get(name), later, true)).acquired).toBe(true);
+    expect((await getState(name)).lockedBy).toBe(otherInstance.instanceId);
+  });
+
+  test('잠금을 가진 인스턴스만 잠금을 연장한다', async () => {
+    const name = registerJob();
+    const startedAt = new Date(Date.now() - 10 * MINUTE_MS);
+
+    await schedulerService.acquire(schedulerService.jobs.get(name), startedAt, false);
+    const { lockedUntil } = await getState(name);
+
+    expect(await otherInstance.renewLock(name)).toBe(false);
+    expect((await getState(name)).lockedUntil).toBe(lockedUntil);
+
+    expect(await schedulerService.renewLock(name)).toBe(true);
+    expect(new Date((await getState(name)).lockedUntil) > new Date(lockedUntil)).toBe(true);
+  });
+
+  test('잠금을 가진 인스턴스만 실행 결과를 기록하고 잠금을 푼다', async () => {
+    const name = registerJob();
+    await schedulerService.acquire(schedulerService.jobs.get(name), new Date(), false);
+
+    const record = { lastStatus: 'success', lastFinishedAt: new Date().toISOString() };
+
+    expect(await otherInstance.release(name, record)).toBe(false);
+    expect((await getState(name)).lastStatus).toBeUndefined();
+
+    expect(await schedulerService.release(name, record)).toBe(true);
+    expect(await getState(name)).toEqual(expect.objectContaining({ lastStatus: 'success', lockedUntil: record.lastFinishedAt }));
+  });
+});
+
+describe('schedulerService.runJob', () => {
+  test('실행 결과를 기록하고 실행 간격 안에는 다시 실행하지 않는다', async () => {
+    const run = jest.fn(async () => ({ processed: 3 }));
+    const name = registerJob({ run });
+
+    const first = await schedulerService.runJob(name);
+    expect(first).toEqual(expect.objectContaining({ code: 'COMPLETED', result: { processed: 3 } }));
+
+    const state = await getState(name);
+    expect(state).toEqual(expect.objectContaining({ lastStatus: 'success', lastInstance: schedulerService.instanceId }));
+    expect(state.lockedUntil).toBe(state.lastFinishedAt);
+
+    expect((await otherInstance.runJob(name)).code).toBe('SKIPPED');
+    expect((await schedulerService.runJob(name, { force: true })).code).toBe('COMPLETED');
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  test('실패한 작업은 오류를 기록하고 잠금을 푼다', async () => {
+    const name = registerJob({ run: async () => { throw new Error('boom'); } });
+
+    const result = await schedulerService.runJob(name);
+
+    expect(result).toEqual(expect.objectContaining({ code: 'FAILED', error: 'boom' }));
+    const state = await getState(name);
+    expect(state).toEqual(expect.objectContaining({ lastStatus: 'failed', lastError: 'boom' }));
+    expect(state.lockedUntil).toBe(state.lastFinishedAt);
+  });
+
+  test('실행 중 잠금을 잃으면 다른 인스턴스의 잠금을 덮어쓰지 않는다', async () => {
+    const name = registerJob({
+      run: async () => {
+        await store.update(JOBS_COLLECTION, name, { lockedBy: otherInstance.instanceId });
+        return { processed: 1 };
+      }
+    });
+
+    expect((await schedulerService.runJob(name)).code).toBe('COMPLETED');
+
+    const state = await getState(name);
+    expect(state.lockedBy).toBe(otherInstance.instanceId);
+    expect(state.lastStatus).toBeUndefined();
+  });
+
+  test('인스턴스마다 실행하는 작업은 잠금 없이 실행한다', async () => {
+    const name = registerJob({ local: true });
+
+    expect((await schedulerService.runJob(name)).code).toBe('COMPLETED');
+    expect((await otherInstance.runJob(name)).code).toBe('COMPLETED');
+    expect(await getState(name)).toBeNull();
+  });
+
+  test('등록되지 않은 작업은 NOT_FOUND를 돌려준다', async () => {
+    expect((await schedulerService.runJob('missing-job')).code).toBe('NOT_FOUND');
+  });
+});
@@ -0,0 +1,6 @@
+// 테스트 공통 환경 변수
+// 서비스 모듈은 불러올 때 설정을 읽으므로 테스트 파일이 require하기 전에 지정한다
+process.env.API_SECRET_KEY = 'test-api-secret';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.SCHEDULER_ENABLED = 'false';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+
+const authService = require('../services/authService');
+const NonceCache = require('../services/nonceCache');
+const { checkSignature, requireSignature, nonceCache } = require('../middleware/signature');
+
+function signedBody(overrides = {}) {
+  const data = {
+    username: 'user@example.com',
+    timestamp: Date.now(),
+    nonce: crypto.randomBytes(8).toString('hex'),
+    ...overrides
+  };
+  data.signature = authService.generateSignature(data);
+  return data;
+}
+
+function request(body) {
+  return { body, originalUrl: '/api/verify', ip: '127.0.0.1' };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('checkSignature', () => {
+  test('서명된 요청을 받는다', () => {
+    expect(checkSignature(request(signedBody())).valid).toBe(true);
+  });
+
+  test('서명이 맞지 않으면 거부한다', () => {
+    const body = { ...signedBody(), username: 'other@example.com' };
+    const result = checkSignature(request(body));
+
+    expect(result.valid).toBe(false);
+    expect(result.status).toBeUndefined();
+  });
+
+  test('허용 범위를 벗어난 타임스탬프는 거부한다', () => {
+    const body = signedBody({ timestamp: Date.now() - authService.requestMaxAgeMs - 1000 });
+    const result = checkSignature(request(body));
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('Request timestamp is too old');
+  });
+
+  test('같은 nonce로 다시 보낸 요청은 거부한다', () => {
+    const body = signedBody();
+
+    expect(checkSignature(request(body)).valid).toBe(true);
+
+    const replay = checkSignature(request({ ...body }));
+    expect(replay.valid).toBe(false);
+    expect(replay.message).toBe('이미 처리된 요청입니다.');
+  });
+
+  test('한 요청에서 여러 번 확인해도 nonce는 한 번만 소진한다', () => {
+    const req = request(signedBody());
+
+    expect(checkSignature(req).valid).toBe(true);
+    expect(checkSignature(req).valid).toBe(true);
+  });
+
+  test('위조된 요청은 nonce를 소진하지 않는다', () => {
+    const body = signedBody();
+
+    expect(checkSignature(request({ ...body, signature: '00'.repeat(32) })).valid).toBe(false);
+    expect(checkSignature(request(body)).valid).toBe(true);
+  });
+
+  test('nonce 캐시가 가득 차면 503으로 거부한다', () => {
+    const maxEntries = nonceCache.maxEntries;
+    nonceCache.maxEntries = nonceCache.nonces.size;
+
+    try {
+      const result = checkSignature(request(signedBody()));
+
+      expect(result.valid).toBe(false);
+      expect(result.status).toBe(503);
+    } finally {
+      nonceCache.maxEntries = maxEntries;
+    }
+  });
+});
+
+describe('requireSignature', () => {
+  test('서명이 없으면 401로 응답한다', () => {
+    const res = response();
+    const next = jest.fn();
+
+    requireSignature(request({ username: 'user@example.com' }), res, next);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.success).toBe(false);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('유효한 요청은 다음 미들웨어로 넘긴다', () => {
+    const res = response();
+    const next = jest.fn();
+
+    requireSignature(request(signedBody()), res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('NonceCache', () => {
+  test('만료 전 nonce는 다시 사용할 수 없고 만료 후에는 사용할 수 있다', () => {
+    const cache = new NonceCache(1000);
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+
+    try {
+      expect(cache.use('a')).toBe(true);
+      expect(cache.use('a')).toBe(false);
+
+      now.mockReturnValue(11001);
+      expect(cache.use('a')).toBe(true);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('가득 차면 만료 전 nonce를 밀어내지 않고 새 nonce를 거부한다', () => {
+    const cache = new NonceCache(60000);
+    cache.maxEntries = 2;
+
+    expect(cache.use('a')).toBe(true);
+    expect(cache.use('b')).toBe(true);
+    expect(cache.isFull()).toBe(true);
+    expect(cache.use('c')).toBe(false);
+
+    // 먼저 기록된 nonce도 계속 재사용을 막는다
+    expect(cache.use('a')).toBe(false);
+  });
+
+  test('가득 찼을 때 만료된 nonce를 정리해 자리를 만든다', () => {
+    const cache = new NonceCache(1000);
+    cache.maxEntries = 2;
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+
+    try {
+      cache.use('a');
+      cache.use('b');
+
+      now.mockReturnValue(11001);
+      expect(cache.use('c')).toBe(true);
+      expect(cache.nonces.size).toBe(1);
+    } finally {
+      now.mockRestore();
+    }
+  });
+});
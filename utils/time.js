@@ -0,0 +1,164 @@
+// 업무 기준 시간대 처리
+// 일 단위 기간(구독 일수, 일별 통계, 만료 예정일)은 이 시간대의 달력 날짜로 계산한다.
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Asia/Seoul';
+
+// 날짜만 있는 기존 만료일 형식 (YYYY-MM-DD)
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// 잘못된 시간대 설정은 시작할 때 바로 알린다
+getFormatter(BUSINESS_TIMEZONE);
+
+/**
+ * 시각을 해당 시간대의 달력 날짜/시각으로 분해
+ * @param {Date} date - 시각
+ * @param {string} [timeZone] - 시간대
+ * @returns {Object} - year, month(1-12), day, hour, minute, second, millisecond
+ */
+function toLocalParts(date, timeZone = BUSINESS_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: date.getUTCMilliseconds()
+  };
+}
+
+/**
+ * 해당 시간대의 달력 날짜/시각을 시각으로 변환 (일/월이 범위를 넘으면 자동으로 넘어간다)
+ * @param {Object} parts - year, month(1-12), day, hour, minute, second, millisecond
+ * @param {string} [timeZone] - 시간대
+ * @returns {Date} - 시각
+ */
+function fromLocalParts({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone = BUSINESS_TIMEZONE) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+
+  // 시간대 오프셋은 시각에 따라 달라질 수 있으므로(일광 절약 시간) 두 번 보정한다
+  let result = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const local = toLocalParts(new Date(result), timeZone);
+    const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second, local.millisecond);
+    result = asUtc - (localAsUtc - result);
+  }
+
+  return new Date(result);
+}
+
+/**
+ * 달력 기준으로 일수 더하기 (해당 시간대의 시각은 유지)
+ * @param {Date|string} date - 기준 시각
+ * @param {number} days - 더할 일수
+ * @param {string} [timeZone] - 시간대
+ * @returns {Date} - 결과 시각
+ */
+function addDays(date, days, timeZone = BUSINESS_TIMEZONE) {
+  const local = toLocalParts(new Date(date), timeZone);
+  return fromLocalParts({ ...local, day: local.day + days }, timeZone);
+}
+
+/**
+ * 해당 시간대 기준 그날 0시
+ * @param {Date} date - 시각
+ * @param {string} [timeZone] - 시간대
+ * @returns {Date} - 그날 0시
+ */
+function startOfDay(date, timeZone = BUSINESS_TIMEZONE) {
+  const { year, month, day } = toLocalParts(new Date(date), timeZone);
+  return fromLocalParts({ year, month, day }, timeZone);
+}
+
+/**
+ * 해당 시간대 기준 날짜 문자열
+ * @param {Date} date - 시각
+ * @param {string} [timeZone] - 시간대
+ * @returns {string} - YYYY-MM-DD
+ */
+function formatDate(date, timeZone = BUSINESS_TIMEZONE) {
+  const { year, month, day } = toLocalParts(new Date(date), timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * 날짜만 있는 만료일(YYYY-MM-DD)인지 확인
+ * @param {*} value - 만료일 값
+ * @returns {boolean}
+ */
+function isDateOnly(value) {
+  return typeof value === 'string' && DATE_ONLY_PATTERN.test(value);
+}
+
+/**
+ * 저장된 만료일을 시각으로 변환
+ * 날짜만 있는 기존 값은 그날 하루 전체(업무 시간대 기준)를 사용할 수 있도록 다음 날 0시로 해석한다.
+ * @param {string} expires - 만료 시각(ISO 8601) 또는 기존 만료일(YYYY-MM-DD)
+ * @param {string} [timeZone] - 시간대
+ * @returns {Date} - 만료 시각
+ */
+function parseExpiry(expires, timeZone = BUSINESS_TIMEZONE) {
+  if (isDateOnly(expires)) {
+    const [year, month, day] = expires.split('-').map(Number);
+    return fromLocalParts({ year, month, day: day + 1 }, timeZone);
+  }
+
+  return new Date(expires);
+}
+
+/**
+ * 시작 시각 변환 (날짜만 있으면 업무 시간대 기준 그날 0시)
+ * @param {string} value - 시각(ISO 8601) 또는 날짜(YYYY-MM-DD)
+ * @param {string} [timeZone] - 시간대
+ * @returns {Date} - 시작 시각
+ */
+function parseStartTime(value, timeZone = BUSINESS_TIMEZONE) {
+  if (isDateOnly(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return fromLocalParts({ year, month, day }, timeZone);
+  }
+
+  return new Date(value);
+}
+
+/**
+ * 저장된 만료일을 ISO 8601 만료 시각 문자열로 변환 (응답과 변경 내역은 항상 이 형식을 사용한다)
+ * @param {string} [expires] - 만료 시각 또는 기존 만료일
+ * @returns {string|null} - 만료 시각 (값이 없으면 null)
+ */
+function normalizeExpiry(expires) {
+  return expires ? parseExpiry(expires).toISOString() : null;
+}
+
+module.exports = {
+  BUSINESS_TIMEZONE,
+  addDays,
+  startOfDay,
+  formatDate,
+  isDateOnly,
+  parseExpiry,
+  parseStartTime,
+  normalizeExpiry
+};